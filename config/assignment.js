@@ -0,0 +1,22 @@
+// Auto-assignment settings, overridable through the environment
+module.exports = {
+  // Auto-assign every new issue instead of only those whose poster asks for it
+  AUTO_ASSIGN_ENABLED: process.env.AUTO_ASSIGN_ENABLED === 'true',
+
+  // How long a helper has to accept an offered issue
+  AUTO_ASSIGN_OFFER_TIMEOUT_MS: Number(process.env.AUTO_ASSIGN_OFFER_TIMEOUT_MS) || 2 * 60 * 1000,
+
+  // Open assignments a helper may hold when they haven't set their own limit
+  AUTO_ASSIGN_DEFAULT_CAPACITY: Number(process.env.AUTO_ASSIGN_DEFAULT_CAPACITY) || 5,
+
+  // How much a full workload lowers a helper's score (0 ignores workload)
+  AUTO_ASSIGN_WORKLOAD_WEIGHT: process.env.AUTO_ASSIGN_WORKLOAD_WEIGHT !== undefined
+    ? Number(process.env.AUTO_ASSIGN_WORKLOAD_WEIGHT)
+    : 0.5,
+
+  // Helpers offered an issue before giving up
+  AUTO_ASSIGN_MAX_OFFERS: Number(process.env.AUTO_ASSIGN_MAX_OFFERS) || 5,
+
+  // How often expired offers are picked up, e.g. after a restart
+  AUTO_ASSIGN_SWEEP_INTERVAL_MS: Number(process.env.AUTO_ASSIGN_SWEEP_INTERVAL_MS) || 30 * 1000
+};
@@ -0,0 +1,5 @@
+// Escalation settings, overridable through the environment
+module.exports = {
+  // How often unassigned and stalled issues are checked against escalation policies
+  ESCALATION_CHECK_INTERVAL_MS: Number(process.env.ESCALATION_CHECK_INTERVAL_MS) || 60 * 1000
+};
@@ -0,0 +1,11 @@
+// Help request settings, overridable through the environment
+module.exports = {
+  // Minutes a helper has to answer before a request expires
+  HELP_REQUEST_TTL_MINUTES: Number(process.env.HELP_REQUEST_TTL_MINUTES) || 60,
+
+  // Pending requests an issue may have out at once
+  MAX_PENDING_HELP_REQUESTS: Number(process.env.MAX_PENDING_HELP_REQUESTS) || 5,
+
+  // How often pending requests are checked for expiry
+  HELP_REQUEST_SWEEP_INTERVAL_MS: Number(process.env.HELP_REQUEST_SWEEP_INTERVAL_MS) || 60 * 1000
+};
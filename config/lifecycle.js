@@ -0,0 +1,15 @@
+// Issue lifecycle settings, overridable through the environment
+module.exports = {
+  // Days after resolution during which the requester may reopen an issue
+  REOPEN_WINDOW_DAYS: Number(process.env.REOPEN_WINDOW_DAYS) || 7,
+
+  // Days after resolution before an issue that was not reopened is closed
+  AUTO_CLOSE_AFTER_DAYS: Number(process.env.AUTO_CLOSE_AFTER_DAYS) || 7,
+
+  // What happens to duplicates when their master issue is resolved:
+  // 'resolve' resolves them with the master's solution, 'notify' only tells their watchers
+  DUPLICATE_RESOLUTION_MODE: process.env.DUPLICATE_RESOLUTION_MODE === 'notify' ? 'notify' : 'resolve',
+
+  // How often the auto-close sweep runs
+  AUTO_CLOSE_INTERVAL_MS: Number(process.env.AUTO_CLOSE_INTERVAL_MS) || 60 * 60 * 1000
+};
@@ -0,0 +1,5 @@
+// On-call settings, overridable through the environment
+module.exports = {
+  // Assign new urgent issues to whoever is on call for their category
+  ONCALL_ASSIGN_URGENT: process.env.ONCALL_ASSIGN_URGENT !== 'false'
+};
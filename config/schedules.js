@@ -0,0 +1,5 @@
+// Recurring maintenance settings, overridable through the environment
+module.exports = {
+  // How often due maintenance schedules are checked
+  SCHEDULE_CHECK_INTERVAL_MS: Number(process.env.SCHEDULE_CHECK_INTERVAL_MS) || 60 * 1000
+};
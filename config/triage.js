@@ -0,0 +1,20 @@
+// Automatic triage settings, overridable through the environment
+module.exports = {
+  // Apply confident suggestions to every new issue, not only when the poster asks
+  TRIAGE_AUTO_APPLY: process.env.TRIAGE_AUTO_APPLY === 'true',
+
+  // Probability a suggestion needs before it is applied to an issue
+  TRIAGE_MIN_CONFIDENCE: Number(process.env.TRIAGE_MIN_CONFIDENCE) || 0.6,
+
+  // Probability a skill needs to be suggested at all
+  TRIAGE_SKILL_THRESHOLD: Number(process.env.TRIAGE_SKILL_THRESHOLD) || 0.15,
+
+  // Most skills suggested for one issue
+  TRIAGE_MAX_SKILLS: Number(process.env.TRIAGE_MAX_SKILLS) || 5,
+
+  // Fewest labelled issues a classifier needs before it makes suggestions
+  TRIAGE_MIN_SAMPLES: Number(process.env.TRIAGE_MIN_SAMPLES) || 20,
+
+  // How often the server picks up a model retrained by another process
+  TRIAGE_RELOAD_INTERVAL_MS: Number(process.env.TRIAGE_RELOAD_INTERVAL_MS) || 5 * 60 * 1000
+};
@@ -0,0 +1,24 @@
+// Attachment upload settings, overridable through the environment
+module.exports = {
+  // Largest single file accepted (bytes)
+  MAX_FILE_SIZE: Number(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024,
+
+  // Per-issue quotas
+  MAX_ATTACHMENTS_PER_ISSUE: Number(process.env.MAX_ATTACHMENTS_PER_ISSUE) || 10,
+  MAX_ISSUE_ATTACHMENT_BYTES: Number(process.env.MAX_ISSUE_ATTACHMENT_BYTES) || 25 * 1024 * 1024,
+
+  // Screenshots, documents and logs
+  ALLOWED_MIME_TYPES: [
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain'
+  ],
+
+  // 'local' (disk) or 's3' (S3-compatible object storage)
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'local',
+  UPLOAD_PATH: process.env.UPLOAD_PATH || './uploads',
+  S3_BUCKET: process.env.S3_BUCKET || 'fixit-attachments'
+};
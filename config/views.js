@@ -0,0 +1,8 @@
+// Saved view settings, overridable through the environment
+module.exports = {
+  // Most views a single user may save
+  MAX_VIEWS_PER_USER: Number(process.env.MAX_VIEWS_PER_USER) || 50,
+
+  // How often live view counts are checked for changes
+  VIEW_COUNT_INTERVAL_MS: Number(process.env.VIEW_COUNT_INTERVAL_MS) || 5 * 1000
+};
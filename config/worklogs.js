@@ -0,0 +1,9 @@
+// Work log settings, overridable through the environment
+module.exports = {
+  // Longest stretch a single timer entry may record, in minutes. Forgotten
+  // timers are capped here when they are finally stopped.
+  MAX_TIMER_MINUTES: Number(process.env.MAX_TIMER_MINUTES) || 8 * 60,
+
+  // Largest manual entry, in minutes
+  MAX_MANUAL_MINUTES: Number(process.env.MAX_MANUAL_MINUTES) || 24 * 60
+};
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const path = require('path');
+const Issue = require('../models/Issue');
+const IssueActivity = require('../models/IssueActivity');
+const { getStorage } = require('../services/storage');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { MAX_ATTACHMENTS_PER_ISSUE, MAX_ISSUE_ATTACHMENT_BYTES } = require('../config/uploads');
+
+// Issues are visible to every signed-in employee, so their attachments are too.
+// Removing an attachment is limited to its uploader, the issue owner and admins.
+const canRemoveAttachment = (issue, attachment, user) =>
+  user.role === 'admin' ||
+  issue.postedBy.toString() === user._id.toString() ||
+  (attachment.uploadedBy && attachment.uploadedBy.toString() === user._id.toString());
+
+// @desc    Upload attachment to issue
+// @route   POST /api/issues/:id/attachments
+// @access  Private
+const uploadAttachment = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'File is required'
+    });
+  }
+
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  if (issue.status === 'closed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot add attachments to closed issues'
+    });
+  }
+
+  // Per-issue quotas
+  if (issue.attachments.length >= MAX_ATTACHMENTS_PER_ISSUE) {
+    return res.status(400).json({
+      success: false,
+      message: `Issues can have at most ${MAX_ATTACHMENTS_PER_ISSUE} attachments`
+    });
+  }
+
+  const usedBytes = issue.attachments.reduce((sum, attachment) => sum + attachment.size, 0);
+  if (usedBytes + req.file.size > MAX_ISSUE_ATTACHMENT_BYTES) {
+    return res.status(400).json({
+      success: false,
+      message: 'Attachment storage quota for this issue exceeded'
+    });
+  }
+
+  const storage = getStorage();
+  const extension = path.extname(req.file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const filename = `${crypto.randomBytes(16).toString('hex')}${extension}`;
+  const key = `issues/${issue._id}/${filename}`;
+
+  await storage.save(key, req.file.buffer, req.file.mimetype);
+
+  issue.attachments.push({
+    filename,
+    originalName: req.file.originalname,
+    path: key,
+    size: req.file.size,
+    mimeType: req.file.mimetype,
+    storage: storage.name,
+    uploadedBy: req.user._id
+  });
+
+  try {
+    await issue.save();
+  } catch (error) {
+    // Don't leave orphaned files behind
+    await storage.remove(key);
+    throw error;
+  }
+
+  const attachment = issue.attachments[issue.attachments.length - 1];
+
+  await IssueActivity.record(issue._id, 'attachment', req.user, [{
+    field: 'attachments',
+    from: null,
+    to: { _id: attachment._id, originalName: attachment.originalName, size: attachment.size }
+  }]);
+
+  res.status(201).json({
+    success: true,
+    data: attachment
+  });
+});
+
+// @desc    Download issue attachment
+// @route   GET /api/issues/:id/attachments/:attachmentId
+// @access  Private
+const downloadAttachment = asyncHandler(async (req, res) => {
+  const issue = await Issue.findById(req.params.id).select('attachments');
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  const attachment = issue.attachments.id(req.params.attachmentId);
+
+  if (!attachment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Attachment not found'
+    });
+  }
+
+  let stream;
+  try {
+    stream = await getStorage(attachment.storage).getStream(attachment.path);
+  } catch (error) {
+    return res.status(404).json({
+      success: false,
+      message: 'Attachment file is missing'
+    });
+  }
+
+  // Show images inline so screenshots open in the app
+  const disposition = (attachment.mimeType || '').startsWith('image/') ? 'inline' : 'attachment';
+
+  res.set({
+    'Content-Type': attachment.mimeType || 'application/octet-stream',
+    'Content-Length': attachment.size,
+    'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`,
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  stream.on('error', (error) => {
+    console.error('Error streaming attachment:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+});
+
+// @desc    Delete issue attachment
+// @route   DELETE /api/issues/:id/attachments/:attachmentId
+// @access  Private
+const deleteAttachment = asyncHandler(async (req, res) => {
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  const attachment = issue.attachments.id(req.params.attachmentId);
+
+  if (!attachment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Attachment not found'
+    });
+  }
+
+  if (!canRemoveAttachment(issue, attachment, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to delete this attachment'
+    });
+  }
+
+  const removed = {
+    _id: attachment._id,
+    originalName: attachment.originalName,
+    size: attachment.size
+  };
+
+  attachment.deleteOne();
+  await issue.save();
+
+  await getStorage(attachment.storage).remove(attachment.path);
+
+  await IssueActivity.record(issue._id, 'attachment', req.user, [{
+    field: 'attachments',
+    from: removed,
+    to: null
+  }]);
+
+  res.json({
+    success: true,
+    message: 'Attachment deleted successfully'
+  });
+});
+
+module.exports = {
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+};
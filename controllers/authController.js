@@ -136,6 +136,11 @@ const updateProfile = asyncHandler(async (req, res) => {
     user.skills = req.body.skills || user.skills;
     user.profilePicture = req.body.profilePicture || user.profilePicture;
 
+    // null falls back to the default auto-assignment capacity
+    if (req.body.maxOpenAssignments !== undefined) {
+      user.maxOpenAssignments = req.body.maxOpenAssignments;
+    }
+
     if (req.body.password) {
       user.password = req.body.password;
     }
@@ -156,6 +161,7 @@ const updateProfile = asyncHandler(async (req, res) => {
         rating: updatedUser.rating,
         contributions: updatedUser.contributions,
         availability: updatedUser.availability,
+        maxOpenAssignments: updatedUser.maxOpenAssignments,
         profilePicture: updatedUser.profilePicture,
         token: generateToken(updatedUser._id)
       }
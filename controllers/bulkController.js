@@ -0,0 +1,117 @@
+const Issue = require('../models/Issue');
+const BulkJob = require('../models/BulkJob');
+const bulkService = require('../services/bulkService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { buildIssueFilter } = require('../utils/issueQuery');
+const { z } = require('zod');
+
+// Validation schemas
+const bulkSchema = z.object({
+  action: z.enum(['assign', 'priority', 'addTags', 'removeTags', 'close', 'delete']),
+  ids: z.array(z.string().min(1)).min(1).max(bulkService.maxItems).optional(),
+  filter: z.record(z.string()).optional(),
+  assignedTo: z.string().optional(),
+  priority: z.enum(['low', 'medium', 'high', 'urgent']).optional(),
+  tags: z.array(z.string().min(1)).min(1).optional(),
+  reason: z.string().max(500).optional()
+}).superRefine((data, ctx) => {
+  if (!data.ids && !data.filter) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Either ids or filter is required' });
+  }
+  if (data.action === 'assign' && !data.assignedTo) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'assignedTo is required for assign' });
+  }
+  if (data.action === 'priority' && !data.priority) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'priority is required for priority changes' });
+  }
+  if (['addTags', 'removeTags'].includes(data.action) && !data.tags) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'tags are required for tag changes' });
+  }
+});
+
+// @desc    Apply an operation to many issues
+// @route   POST /api/issues/bulk
+// @access  Private
+const bulkIssues = asyncHandler(async (req, res) => {
+  const { action, ids, filter, ...params } = bulkSchema.parse(req.body);
+
+  let issueIds = ids;
+  if (!issueIds) {
+    const query = buildIssueFilter(filter);
+    if (Object.keys(query).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Filter must narrow down the issues'
+      });
+    }
+
+    const matches = await Issue.find(query).select('_id').limit(bulkService.maxItems + 1);
+    if (matches.length > bulkService.maxItems) {
+      return res.status(400).json({
+        success: false,
+        message: `Filter matches more than ${bulkService.maxItems} issues`
+      });
+    }
+    issueIds = matches.map(issue => issue._id.toString());
+  }
+
+  issueIds = Array.from(new Set(issueIds));
+
+  // Large batches run in the background with a progress endpoint
+  if (issueIds.length > bulkService.syncLimit) {
+    const job = await bulkService.startJob(issueIds, action, params, req.user);
+
+    return res.status(202).json({
+      success: true,
+      data: {
+        jobId: job._id,
+        status: job.status,
+        total: job.total
+      }
+    });
+  }
+
+  const results = await bulkService.run(issueIds, action, params, req.user);
+  const succeeded = results.filter(result => result.success).length;
+
+  res.json({
+    success: true,
+    data: {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    }
+  });
+});
+
+// @desc    Get bulk job progress
+// @route   GET /api/issues/bulk/:jobId
+// @access  Private
+const getBulkJob = asyncHandler(async (req, res) => {
+  const job = await BulkJob.findById(req.params.jobId).select('-issueIds');
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bulk job not found'
+    });
+  }
+
+  if (job.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this job'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+});
+
+module.exports = {
+  bulkIssues,
+  getBulkJob
+};
@@ -0,0 +1,331 @@
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const IssueActivity = require('../models/IssueActivity');
+const Mention = require('../models/Mention');
+const mentionService = require('../services/mentionService');
+const relationshipService = require('../services/relationshipService');
+const workLogService = require('../services/workLogService');
+const socketService = require('../services/socketService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { z } = require('zod');
+
+// Validation schemas
+const commentContentSchema = z.string().trim().min(1, 'Comment content is required').max(5000);
+
+const addCommentSchema = z.object({
+  content: commentContentSchema,
+  parentId: z.string().optional()
+});
+
+const editCommentSchema = z.object({
+  content: commentContentSchema
+});
+
+const reactionSchema = z.object({
+  emoji: z.string().min(1).max(16).regex(/\p{Extended_Pictographic}/u, 'Reaction must be an emoji')
+});
+
+const acceptSolutionSchema = z.object({
+  pointsAwarded: z.number().int().min(0).max(100).optional()
+});
+
+// Shape of a comment as stored in the activity log
+const commentSnapshot = (comment) => ({
+  _id: comment._id,
+  content: comment.content,
+  parent: comment.parent
+});
+
+// @desc    Add comment or reply to issue
+// @route   POST /api/issues/:id/comments
+// @access  Private
+const addComment = asyncHandler(async (req, res) => {
+  const { content, parentId } = addCommentSchema.parse(req.body);
+
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  if (parentId) {
+    const parent = issue.comments.id(parentId);
+    if (!parent || parent.isDeleted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parent comment not found'
+      });
+    }
+  }
+
+  const mentions = await mentionService.resolveMentions(content);
+  const comment = issue.addComment(req.user._id, content, parentId || null, mentions);
+  await issue.save();
+
+  await mentionService.notifyMentions(issue, comment, req.user, mentions);
+
+  await IssueActivity.record(issue._id, 'comment', req.user, [{
+    field: 'comments',
+    from: null,
+    to: commentSnapshot(comment)
+  }]);
+
+  await issue.populate('comments.user', 'firstName lastName employeeId');
+
+  // Commenters are watchers now, so join them before broadcasting
+  socketService.joinIssueRoom(req.user._id.toString(), issue._id);
+  socketService.notifyIssue(issue._id, 'comment:added', {
+    issueId: issue._id,
+    comment: issue.comments.id(comment._id),
+    timestamp: new Date()
+  });
+
+  res.json({
+    success: true,
+    data: issue.comments.id(comment._id)
+  });
+});
+
+// @desc    Edit own comment
+// @route   PUT /api/issues/:id/comments/:commentId
+// @access  Private
+const editComment = asyncHandler(async (req, res) => {
+  const { content } = editCommentSchema.parse(req.body);
+
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  const comment = issue.comments.id(req.params.commentId);
+
+  if (!comment || comment.isDeleted) {
+    return res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+  }
+
+  if (comment.user.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to edit this comment'
+    });
+  }
+
+  const before = commentSnapshot(comment);
+  const previouslyMentioned = comment.mentions.map(mention => mention.user.toString());
+  const mentions = await mentionService.resolveMentions(content);
+
+  issue.editComment(comment, content);
+  comment.mentions = mentions;
+
+  // Keep the linked resolution in sync with an accepted answer
+  if (issue.resolution.acceptedComment && issue.resolution.acceptedComment.equals(comment._id)) {
+    issue.resolution.solution = content;
+  }
+
+  await issue.save();
+
+  // Only notify people who were newly mentioned by the edit
+  await mentionService.notifyMentions(issue, comment, req.user,
+    mentions.filter(mention => !previouslyMentioned.includes(mention.user.toString())));
+  await mentionService.removeStaleMentions(comment, mentions);
+
+  await IssueActivity.record(issue._id, 'comment', req.user, [{
+    field: 'comments',
+    from: before,
+    to: commentSnapshot(comment)
+  }], { type: 'edit' });
+
+  await issue.populate('comments.user', 'firstName lastName employeeId');
+
+  res.json({
+    success: true,
+    data: issue.comments.id(comment._id)
+  });
+});
+
+// @desc    Delete own comment (soft delete)
+// @route   DELETE /api/issues/:id/comments/:commentId
+// @access  Private
+const deleteComment = asyncHandler(async (req, res) => {
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  const comment = issue.comments.id(req.params.commentId);
+
+  if (!comment || comment.isDeleted) {
+    return res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+  }
+
+  if (comment.user.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to delete this comment'
+    });
+  }
+
+  if (comment.isSolution) {
+    return res.status(400).json({
+      success: false,
+      message: 'Accepted solutions cannot be deleted'
+    });
+  }
+
+  const before = commentSnapshot(comment);
+  issue.deleteComment(comment);
+  await issue.save();
+
+  // Drop inbox entries pointing at content that no longer exists
+  await Mention.deleteMany({ comment: comment._id });
+
+  await IssueActivity.record(issue._id, 'comment', req.user, [{
+    field: 'comments',
+    from: before,
+    to: null
+  }], { type: 'delete' });
+
+  res.json({
+    success: true,
+    message: 'Comment deleted successfully'
+  });
+});
+
+// @desc    Toggle emoji reaction on comment
+// @route   POST /api/issues/:id/comments/:commentId/reactions
+// @access  Private
+const reactToComment = asyncHandler(async (req, res) => {
+  const { emoji } = reactionSchema.parse(req.body);
+
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  const comment = issue.comments.id(req.params.commentId);
+
+  if (!comment || comment.isDeleted) {
+    return res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+  }
+
+  const added = issue.toggleReaction(comment, req.user._id, emoji);
+  await issue.save();
+
+  await IssueActivity.record(issue._id, 'comment', req.user, [], {
+    type: added ? 'reaction_added' : 'reaction_removed',
+    commentId: comment._id,
+    emoji
+  });
+
+  // Summarize as emoji -> count
+  const reactions = comment.reactions.reduce((counts, reaction) => {
+    counts[reaction.emoji] = (counts[reaction.emoji] || 0) + 1;
+    return counts;
+  }, {});
+
+  res.json({
+    success: true,
+    data: {
+      added,
+      reactions
+    }
+  });
+});
+
+// @desc    Accept comment as the solution (issue owner only)
+// @route   PUT /api/issues/:id/comments/:commentId/accept
+// @access  Private
+const acceptSolution = asyncHandler(async (req, res) => {
+  const { pointsAwarded = 0 } = acceptSolutionSchema.parse(req.body);
+
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  if (issue.postedBy.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the issue owner can accept a solution'
+    });
+  }
+
+  const comment = issue.comments.id(req.params.commentId);
+
+  if (!comment || comment.isDeleted) {
+    return res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+  }
+
+  const isOwnComment = comment.user.toString() === req.user._id.toString();
+  const before = issue.toObject();
+
+  // Owners don't earn points for answering their own issue
+  issue.acceptSolution(req.user, comment, isOwnComment ? 0 : pointsAwarded);
+  await issue.save();
+
+  if (!isOwnComment) {
+    const author = await User.findById(comment.user);
+    if (author) {
+      author.contributions.points += pointsAwarded;
+      author.contributions.issuesResolved += 1;
+      await author.save();
+    }
+  }
+
+  await workLogService.handleResolved(issue);
+  await IssueActivity.record(issue._id, 'solve', req.user,
+    IssueActivity.diff(before, issue.toObject(), ['status', 'resolution']), { commentId: comment._id });
+
+  try {
+    await relationshipService.handleResolved(issue);
+  } catch (error) {
+    console.error(`Error updating duplicates of issue ${issue._id}:`, error);
+  }
+
+  await issue.populate('comments.user', 'firstName lastName employeeId');
+  await issue.populate('resolution.solvedBy', 'firstName lastName employeeId department');
+
+  res.json({
+    success: true,
+    data: issue
+  });
+});
+
+module.exports = {
+  addComment,
+  editComment,
+  deleteComment,
+  reactToComment,
+  acceptSolution
+};
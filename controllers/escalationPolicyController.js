@@ -0,0 +1,133 @@
+const EscalationPolicy = require('../models/EscalationPolicy');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { z } = require('zod');
+
+// Validation schemas
+const stepSchema = z.object({
+  afterMinutes: z.number().int().positive(),
+  action: z.enum(EscalationPolicy.ESCALATION_ACTIONS),
+  count: z.number().int().min(1).max(10).optional()
+});
+
+const escalationPolicySchema = z.object({
+  name: z.string().min(2).max(100),
+  trigger: z.enum(['unassigned', 'stalled']),
+  categories: z.array(z.enum(['hardware', 'software', 'network', 'printer', 'email', 'access', 'other'])).optional(),
+  priorities: z.array(z.enum(['low', 'medium', 'high', 'urgent'])).optional(),
+  steps: z.array(stepSchema).min(1).max(10),
+  isActive: z.boolean().optional()
+}).refine(data => new Set(data.steps.map(step => `${step.afterMinutes}:${step.action}`)).size === data.steps.length, {
+  message: 'A policy cannot repeat the same action at the same time',
+  path: ['steps']
+});
+
+// @desc    Get all escalation policies
+// @route   GET /api/escalation-policies
+// @access  Private/Admin
+const getEscalationPolicies = asyncHandler(async (req, res) => {
+  const policies = await EscalationPolicy.find()
+    .sort({ trigger: 1, name: 1 });
+
+  res.json({
+    success: true,
+    data: policies
+  });
+});
+
+// @desc    Get single escalation policy
+// @route   GET /api/escalation-policies/:id
+// @access  Private/Admin
+const getEscalationPolicy = asyncHandler(async (req, res) => {
+  const policy = await EscalationPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return res.status(404).json({
+      success: false,
+      message: 'Escalation policy not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: policy
+  });
+});
+
+// @desc    Create escalation policy
+// @route   POST /api/escalation-policies
+// @access  Private/Admin
+const createEscalationPolicy = asyncHandler(async (req, res) => {
+  const validatedData = escalationPolicySchema.parse(req.body);
+
+  const policy = await EscalationPolicy.create({
+    ...validatedData,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: policy
+  });
+});
+
+// @desc    Update escalation policy
+// @route   PUT /api/escalation-policies/:id
+// @access  Private/Admin
+const updateEscalationPolicy = asyncHandler(async (req, res) => {
+  const policy = await EscalationPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return res.status(404).json({
+      success: false,
+      message: 'Escalation policy not found'
+    });
+  }
+
+  const { name, trigger, categories, priorities, steps, isActive } = policy.toObject();
+  const validatedData = escalationPolicySchema.parse({
+    name,
+    trigger,
+    categories,
+    priorities,
+    steps: steps.map(({ afterMinutes, action, count }) => ({ afterMinutes, action, count })),
+    isActive,
+    ...req.body
+  });
+
+  policy.set(validatedData);
+  await policy.save();
+
+  res.json({
+    success: true,
+    data: policy
+  });
+});
+
+// @desc    Delete escalation policy
+// @route   DELETE /api/escalation-policies/:id
+// @access  Private/Admin
+const deleteEscalationPolicy = asyncHandler(async (req, res) => {
+  const policy = await EscalationPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return res.status(404).json({
+      success: false,
+      message: 'Escalation policy not found'
+    });
+  }
+
+  await policy.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Escalation policy deleted successfully'
+  });
+});
+
+module.exports = {
+  getEscalationPolicies,
+  getEscalationPolicy,
+  createEscalationPolicy,
+  updateEscalationPolicy,
+  deleteEscalationPolicy
+};
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const HelpRequest = require('../models/HelpRequest');
+const helpRequestService = require('../services/helpRequestService');
+const { paginate } = require('../utils/cursorPagination');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { z } = require('zod');
+
+const objectId = (name) => z.string().refine(value => mongoose.isValidObjectId(value), {
+  message: `Invalid ${name}`
+});
+
+// Validation schemas
+const createHelpRequestSchema = z.object({
+  issueId: objectId('issue id'),
+  recipientId: objectId('helper id'),
+  note: z.string().trim().max(500).optional()
+});
+
+const respondSchema = z.object({
+  note: z.string().trim().max(500).optional()
+});
+
+const listSchema = z.object({
+  box: z.enum(['incoming', 'outgoing']).default('incoming'),
+  status: z.enum(['pending', 'accepted', 'declined', 'expired', 'cancelled']).optional()
+});
+
+const PARTY_FIELDS = 'firstName lastName employeeId department';
+
+// @desc    Get incoming or outgoing help requests
+// @route   GET /api/help-requests
+// @access  Private
+const getHelpRequests = asyncHandler(async (req, res) => {
+  const { box, status } = listSchema.parse(req.query);
+  const { cursor, limit = 20 } = req.query;
+
+  const filter = box === 'incoming'
+    ? { recipient: req.user._id }
+    : { requester: req.user._id };
+  if (status) filter.status = status;
+
+  const { data, pagination } = await paginate(HelpRequest, filter, { createdAt: -1 }, {
+    cursor,
+    limit,
+    prepare: (query) => query
+      .populate('issue', 'title status priority category')
+      .populate('requester', PARTY_FIELDS)
+      .populate('recipient', PARTY_FIELDS)
+  });
+
+  res.json({
+    success: true,
+    data,
+    pagination
+  });
+});
+
+// @desc    Get single help request
+// @route   GET /api/help-requests/:id
+// @access  Private
+const getHelpRequest = asyncHandler(async (req, res) => {
+  const request = await HelpRequest.findOne({
+    _id: req.params.id,
+    $or: [{ requester: req.user._id }, { recipient: req.user._id }]
+  })
+    .populate('issue', 'title status priority category')
+    .populate('requester', PARTY_FIELDS)
+    .populate('recipient', PARTY_FIELDS);
+
+  if (!request) {
+    return res.status(404).json({
+      success: false,
+      message: 'Help request not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: request
+  });
+});
+
+// @desc    Ask a helper to take an issue
+// @route   POST /api/help-requests
+// @access  Private
+const createHelpRequest = asyncHandler(async (req, res) => {
+  const validatedData = createHelpRequestSchema.parse(req.body);
+
+  const request = await helpRequestService.create(req.user, validatedData);
+
+  res.status(201).json({
+    success: true,
+    data: request
+  });
+});
+
+// @desc    Accept help request and take the issue
+// @route   PUT /api/help-requests/:id/accept
+// @access  Private
+const acceptHelpRequest = asyncHandler(async (req, res) => {
+  const { note } = respondSchema.parse(req.body);
+
+  const request = await helpRequestService.accept(req.params.id, req.user, note);
+
+  res.json({
+    success: true,
+    data: request
+  });
+});
+
+// @desc    Decline help request
+// @route   PUT /api/help-requests/:id/decline
+// @access  Private
+const declineHelpRequest = asyncHandler(async (req, res) => {
+  const { note } = respondSchema.parse(req.body);
+
+  const request = await helpRequestService.decline(req.params.id, req.user, note);
+
+  res.json({
+    success: true,
+    data: request
+  });
+});
+
+// @desc    Cancel own help request
+// @route   PUT /api/help-requests/:id/cancel
+// @access  Private
+const cancelHelpRequest = asyncHandler(async (req, res) => {
+  const request = await helpRequestService.cancel(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: request
+  });
+});
+
+module.exports = {
+  getHelpRequests,
+  getHelpRequest,
+  createHelpRequest,
+  acceptHelpRequest,
+  declineHelpRequest,
+  cancelHelpRequest
+};
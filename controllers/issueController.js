@@ -1,6 +1,28 @@
 const Issue = require('../models/Issue');
 const User = require('../models/User');
+const SlaPolicy = require('../models/SlaPolicy');
+const IssueActivity = require('../models/IssueActivity');
+const SavedView = require('../models/SavedView');
+const CategoryTemplate = require('../models/CategoryTemplate');
+const duplicateService = require('../services/duplicateService');
+const relationshipService = require('../services/relationshipService');
+const workLogService = require('../services/workLogService');
+const mentionService = require('../services/mentionService');
+const triageService = require('../services/triageService');
+const autoAssignService = require('../services/autoAssignService');
+const assignmentService = require('../services/assignmentService');
+const onCallService = require('../services/onCallService');
+const socketService = require('../services/socketService');
+const { getStorage } = require('../services/storage');
+const { buildHighlights } = require('../utils/highlight');
+const { buildCustomFieldsSchema } = require('../utils/customFields');
+const { buildIssueFilter, buildIssueSort } = require('../utils/issueQuery');
+const { paginate, paginateTextSearch } = require('../utils/cursorPagination');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { REOPEN_WINDOW_DAYS } = require('../config/lifecycle');
+const { TRIAGE_AUTO_APPLY } = require('../config/triage');
+const { AUTO_ASSIGN_ENABLED } = require('../config/assignment');
+const { MAX_MANUAL_MINUTES } = require('../config/worklogs');
 const { z } = require('zod');
 
 // Validation schemas
@@ -24,27 +46,219 @@ const createIssueSchema = z.object({
     room: z.string().optional()
   }).optional(),
   tags: z.array(z.string()).optional(),
-  estimatedTime: z.number().positive().optional()
+  estimatedTime: z.number().positive().optional(),
+  force: z.boolean().optional()
+});
+
+// Build the create schema for a category, adding its template's custom fields.
+// Categories with default skills don't require the poster to list any, and
+// neither do posters relying on triage to suggest them.
+const buildCreateIssueSchema = (template, skillsOptional = false) => createIssueSchema.extend({
+  requiredSkills: skillsOptional || (template && template.defaultRequiredSkills.length > 0)
+    ? createIssueSchema.shape.requiredSkills.optional()
+    : createIssueSchema.shape.requiredSkills,
+  customFields: buildCustomFieldsSchema(template)
+});
+
+const createOptionsSchema = z.object({
+  autoTriage: z.boolean().optional(),
+  autoAssign: z.boolean().optional()
+});
+
+const searchQuerySchema = z.object({
+  q: z.string({ required_error: 'Search query is required', invalid_type_error: 'Search query must be a single string' })
+    .trim()
+    .min(2, 'Search query must be at least 2 characters')
+    .max(200),
+  cursor: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+  count: z.enum(['true', 'false']).optional()
+});
+
+const triageSchema = z.object({
+  title: z.string().min(3).max(200),
+  description: z.string().optional()
+});
+
+const checkDuplicatesSchema = z.object({
+  title: z.string().min(3).max(200),
+  description: z.string().optional(),
+  category: createIssueSchema.shape.category.optional(),
+  location: createIssueSchema.shape.location
+});
+
+// Fields whose before/after values are logged on lifecycle changes
+const LIFECYCLE_FIELDS = ['status', 'assignedTo', 'resolution'];
+
+const resolveIssueSchema = z.object({
+  solution: z.string({ required_error: 'Solution is required' }).trim().min(1, 'Solution is required'),
+  timeSpent: z.number().int().positive().max(MAX_MANUAL_MINUTES).optional()
+});
+
+const collaboratorSchema = z.object({
+  userId: z.string().min(1)
+});
+
+const reopenIssueSchema = z.object({
+  reason: z.string().trim().min(5).max(500)
+});
+
+// Take back the contribution credit granted by a resolution that was reopened
+const reverseResolutionCredit = async (resolution, ownerId) => {
+  if (resolution.resolvedBy) {
+    const helper = await User.findById(resolution.resolvedBy);
+    if (helper) {
+      // Logged time stays with the helper: the work was still done
+      helper.contributions.issuesResolved = Math.max(0, helper.contributions.issuesResolved - 1);
+      await helper.save();
+    }
+  }
+
+  // Owners marking their own issue as solved were never credited
+  if (resolution.solvedBy && resolution.solvedBy.toString() !== ownerId.toString()) {
+    const solver = await User.findById(resolution.solvedBy);
+    if (solver) {
+      solver.contributions.issuesResolved = Math.max(0, solver.contributions.issuesResolved - 1);
+      solver.contributions.points = Math.max(0, solver.contributions.points - (resolution.pointsAwarded || 0));
+      await solver.save();
+    }
+  }
+};
+
+const updateStatusSchema = z.object({
+  status: z.enum(['open', 'assigned', 'in_progress', 'closed']),
+  reason: z.string().max(500).optional()
 });
 
 // @desc    Create new issue
 // @route   POST /api/issues
 // @access  Private
 const createIssue = asyncHandler(async (req, res) => {
-  const validatedData = createIssueSchema.parse(req.body);
+  const {
+    autoTriage = TRIAGE_AUTO_APPLY,
+    autoAssign = AUTO_ASSIGN_ENABLED
+  } = createOptionsSchema.parse(req.body);
+  const { category } = createIssueSchema.pick({ category: true }).parse(req.body);
+  let template = await CategoryTemplate.findForCategory(category);
+
+  const { force, ...validatedData } = buildCreateIssueSchema(template, autoTriage).parse(req.body);
+
+  // Fill in vague fields from what similar past issues needed
+  let triage = [];
+  if (autoTriage) {
+    const suggestions = await triageService.suggest(validatedData);
+
+    // Only move to a category whose template accepts the submitted custom fields
+    triage = await triageService.apply(validatedData, suggestions, async (suggested) => {
+      const suggestedTemplate = await CategoryTemplate.findForCategory(suggested);
+      return buildCustomFieldsSchema(suggestedTemplate).safeParse(validatedData.customFields).success;
+    });
+
+    if (validatedData.category !== category) {
+      template = await CategoryTemplate.findForCategory(validatedData.category);
+    }
+  }
+
+  // Merge in the category's default skills
+  if (template) {
+    validatedData.requiredSkills = [...new Set([
+      ...(validatedData.requiredSkills || []),
+      ...template.defaultRequiredSkills
+    ])];
+  }
+
+  if (!validatedData.requiredSkills || validatedData.requiredSkills.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'At least one required skill is needed; triage could not suggest any'
+    });
+  }
 
-  const issue = await Issue.create({
+  // Warn about likely duplicates unless the user already saw them
+  if (!force) {
+    const duplicates = await duplicateService.findDuplicates(validatedData);
+    if (duplicates.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Similar open issues already exist. Submit again with force set to file anyway.',
+        duplicates
+      });
+    }
+  }
+
+  let issue = new Issue({
     ...validatedData,
     postedBy: req.user._id,
     priority: validatedData.priority || 'medium'
   });
 
+  // Compute response and resolution due dates
+  issue.applySla(await SlaPolicy.resolveTargets(issue.priority, issue.category));
+  await issue.save();
+
+  await IssueActivity.record(issue._id, 'create', req.user, triage, { title: issue.title });
+  socketService.syncIssueRoom(issue);
+
+  // Urgent issues go to whoever is on call for the category
+  if (onCallService.isUrgent(issue)) {
+    try {
+      await onCallService.handleUrgentIssue(issue, req.user);
+    } catch (error) {
+      console.error(`Error paging on-call helper for issue ${issue._id}:`, error);
+    }
+  }
+
+  // Offer the issue to the best available helper; the issue stays open if that fails
+  if (autoAssign && issue.status === 'open') {
+    try {
+      issue = await autoAssignService.begin(issue);
+    } catch (error) {
+      console.error(`Error starting auto-assignment for issue ${issue._id}:`, error);
+    }
+  }
+
   // Populate user details
   await issue.populate('postedBy', 'firstName lastName employeeId department');
 
   res.status(201).json({
     success: true,
-    data: issue
+    data: issue,
+    triage
+  });
+});
+
+// @desc    Preview triage suggestions for a draft issue
+// @route   POST /api/issues/triage
+// @access  Private
+const triageIssue = asyncHandler(async (req, res) => {
+  const validatedData = triageSchema.parse(req.body);
+
+  const suggestions = await triageService.suggest(validatedData);
+
+  if (!suggestions) {
+    return res.status(503).json({
+      success: false,
+      message: 'The triage model has not been trained yet'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: suggestions
+  });
+});
+
+// @desc    Check a draft issue for likely duplicates
+// @route   POST /api/issues/check-duplicates
+// @access  Private
+const checkDuplicates = asyncHandler(async (req, res) => {
+  const validatedData = checkDuplicatesSchema.parse(req.body);
+
+  const duplicates = await duplicateService.findDuplicates(validatedData);
+
+  res.json({
+    success: true,
+    data: duplicates
   });
 });
 
@@ -52,57 +266,87 @@ const createIssue = asyncHandler(async (req, res) => {
 // @route   GET /api/issues
 // @access  Private
 const getIssues = asyncHandler(async (req, res) => {
+  let query = req.query;
+
+  // Apply a saved view; explicit query parameters win over the view's own
+  if (req.query.view) {
+    const viewId = req.query.view === 'default' ? req.user.defaultView : req.query.view;
+    const view = viewId && await SavedView.findVisible(viewId, req.user);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    query = { ...view.toQuery(req.user), ...req.query };
+  }
+
   const {
-    status,
-    category,
-    priority,
-    postedBy,
-    assignedTo,
-    excludePostedBy,
-    page = 1,
+    cursor,
     limit = 10,
+    count,
     sortBy = 'createdAt',
     sortOrder = 'desc'
-  } = req.query;
-
-  // Build filter object
-  const filter = {};
-  if (status) filter.status = status;
-  if (category) filter.category = category;
-  if (priority) filter.priority = priority;
-  if (postedBy) filter.postedBy = postedBy;
-  if (assignedTo) filter.assignedTo = assignedTo;
-  
-  // Exclude current user's issues from "All Issues" page
-  if (excludePostedBy) {
-    filter.postedBy = { $ne: excludePostedBy };
-  }
-
-  // Build sort object
-  const sort = {};
-  sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-  // Pagination
-  const skip = (parseInt(page) - 1) * parseInt(limit);
+  } = query;
+
+  const filter = buildIssueFilter(query);
+  const sort = buildIssueSort(sortBy, sortOrder);
+
+  const { data, pagination } = await paginate(Issue, filter, sort, {
+    cursor,
+    limit,
+    withCount: count === 'true',
+    prepare: (issueQuery) => issueQuery
+      .populate('postedBy', 'firstName lastName employeeId department')
+      .populate('assignedTo', 'firstName lastName employeeId department')
+  });
 
-  const issues = await Issue.find(filter)
-    .populate('postedBy', 'firstName lastName employeeId department')
-    .populate('assignedTo', 'firstName lastName employeeId department')
-    .sort(sort)
-    .skip(skip)
-    .limit(parseInt(limit));
+  res.json({
+    success: true,
+    data,
+    pagination
+  });
+});
+
+// @desc    Full-text search across issues
+// @route   GET /api/issues/search
+// @access  Private
+const searchIssues = asyncHandler(async (req, res) => {
+  const { q, cursor, limit, count } = searchQuerySchema.parse(req.query);
+
+  const filter = {
+    ...buildIssueFilter(req.query),
+    $text: { $search: q }
+  };
+
+  const { data, pagination } = await paginateTextSearch(Issue, filter, {
+    cursor,
+    limit,
+    withCount: count === 'true',
+    prepare: (issueQuery) => issueQuery
+      .populate('postedBy', 'firstName lastName employeeId department')
+      .populate('assignedTo', 'firstName lastName employeeId department')
+  });
 
-  const total = await Issue.countDocuments(filter);
+  const results = data.map(({ doc: issue, score }) => ({
+    issue,
+    score,
+    highlights: buildHighlights([
+      { field: 'title', text: issue.title },
+      { field: 'description', text: issue.description },
+      { field: 'tags', text: issue.tags.join(', ') },
+      { field: 'requiredSkills', text: issue.requiredSkills.join(', ') },
+      { field: 'resolution.solution', text: issue.resolution.solution },
+      ...issue.comments.map(comment => ({ field: 'comments', text: comment.content }))
+    ], q)
+  }));
 
   res.json({
     success: true,
-    data: issues,
-    pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      total,
-      pages: Math.ceil(total / parseInt(limit))
-    }
+    data: results,
+    pagination
   });
 });
 
@@ -115,7 +359,8 @@ const getIssue = asyncHandler(async (req, res) => {
     .populate('assignedTo', 'firstName lastName employeeId department')
     .populate('comments.user', 'firstName lastName employeeId')
     .populate('resolution.resolvedBy', 'firstName lastName employeeId')
-    .populate('resolution.solvedBy', 'firstName lastName employeeId department');
+    .populate('resolution.solvedBy', 'firstName lastName employeeId department')
+    .populate('links.issue', 'title status priority category');
 
   if (!issue) {
     return res.status(404).json({
@@ -159,7 +404,7 @@ const updateIssue = asyncHandler(async (req, res) => {
     });
   }
 
-  const allowedUpdates = ['title', 'description', 'priority', 'requiredSkills', 'location', 'tags', 'estimatedTime'];
+  const allowedUpdates = ['title', 'description', 'priority', 'requiredSkills', 'location', 'tags', 'estimatedTime', 'customFields'];
   const updates = {};
 
   allowedUpdates.forEach(field => {
@@ -168,10 +413,40 @@ const updateIssue = asyncHandler(async (req, res) => {
     }
   });
 
+  // Custom fields are replaced as a whole and checked against the category template
+  if (updates.customFields !== undefined) {
+    const template = await CategoryTemplate.findForCategory(issue.category);
+    updates.customFields = buildCustomFieldsSchema(template).parse(updates.customFields) || {};
+  }
+
+  const before = issue.toObject();
+
+  // Recompute SLA due dates when the priority changes
+  if (updates.priority && updates.priority !== issue.priority) {
+    issue.priority = updates.priority;
+    issue.applySla(await SlaPolicy.resolveTargets(issue.priority, issue.category));
+    updates.sla = issue.toObject().sla;
+  }
+
   issue = await Issue.findByIdAndUpdate(req.params.id, updates, { new: true })
     .populate('postedBy', 'firstName lastName employeeId department')
     .populate('assignedTo', 'firstName lastName employeeId department');
 
+  const changes = IssueActivity.diff(before, issue.toObject({ depopulate: true }), allowedUpdates);
+  if (changes.length > 0) {
+    await IssueActivity.record(issue._id, 'update', req.user, changes);
+  }
+
+  // Page the on-call helper the first time an issue becomes urgent
+  if (!onCallService.isUrgent(before) && onCallService.isUrgent(issue)) {
+    try {
+      await onCallService.handleUrgentIssue(issue, issue.postedBy);
+      await issue.populate('assignedTo', 'firstName lastName employeeId department');
+    } catch (error) {
+      console.error(`Error paging on-call helper for issue ${issue._id}:`, error);
+    }
+  }
+
   res.json({
     success: true,
     data: issue
@@ -201,6 +476,34 @@ const deleteIssue = asyncHandler(async (req, res) => {
 
   await issue.deleteOne();
 
+  // Remove stored attachment files
+  await Promise.all(issue.attachments.map(attachment =>
+    getStorage(attachment.storage).remove(attachment.path).catch(error => {
+      console.error('Error removing attachment file:', error);
+    })
+  ));
+
+  // Clear links, mentions and work logs that still point at the deleted issue
+  try {
+    await relationshipService.handleDeleted(issue, req.user);
+    await mentionService.handleDeleted(issue);
+    await workLogService.handleDeleted(issue);
+  } catch (error) {
+    console.error(`Error cleaning up after deleted issue ${issue._id}:`, error);
+  }
+
+  await IssueActivity.record(issue._id, 'delete', req.user, [{
+    field: 'issue',
+    from: {
+      title: issue.title,
+      description: issue.description,
+      category: issue.category,
+      priority: issue.priority,
+      status: issue.status
+    },
+    to: null
+  }]);
+
   res.json({
     success: true,
     message: 'Issue deleted successfully'
@@ -220,26 +523,8 @@ const getHelperSuggestions = asyncHandler(async (req, res) => {
     });
   }
 
-  // Find users with matching skills (broad first-pass)
-  const potentialHelpers = await User.find({
-    isActive: true,
-    'skills.name': { $in: issue.requiredSkills.map(skill => new RegExp(skill, 'i')) }
-  }).select('-password');
-
-  // Calculate helper scores using AI algorithm
-  const helpersWithScores = potentialHelpers.map(helper => {
-    const score = helper.calculateHelperScore(issue.requiredSkills, issue.category, issue.priority);
-    return {
-      ...helper.toObject(),
-      helperScore: score
-    };
-  });
-
-  // Sort by helper score (descending)
-  helpersWithScores.sort((a, b) => b.helperScore - a.helperScore);
-
-  // Return top 10 helpers
-  const topHelpers = helpersWithScores.slice(0, 10);
+  // Rank helpers with the scoring algorithm and return the top 10
+  const topHelpers = await User.suggestHelpers(issue, { limit: 10 });
 
   res.json({
     success: true,
@@ -276,27 +561,85 @@ const assignIssue = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user can assign this issue
-  if (issue.postedBy.toString() !== req.user._id.toString()) {
+  await assignmentService.assign(issue, assignedTo, req.user, { reason: req.body.reason });
+
+  await issue.populate('assignedTo', 'firstName lastName employeeId department');
+
+  res.json({
+    success: true,
+    data: issue
+  });
+});
+
+// @desc    Offer issue to the best available helper
+// @route   POST /api/issues/:id/auto-assign
+// @access  Private
+const autoAssignIssue = asyncHandler(async (req, res) => {
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  if (!issue.canTransition('assigned', req.user)) {
     return res.status(403).json({
       success: false,
-      message: 'Not authorized to assign this issue'
+      message: `Not authorized to assign this issue while it is ${issue.status}`
     });
   }
 
-  // Check if helper exists
-  const helper = await User.findById(assignedTo);
-  if (!helper) {
+  const updated = await autoAssignService.begin(issue);
+
+  res.json({
+    success: true,
+    data: updated.autoAssignment
+  });
+});
+
+// @desc    Change issue status (start work, release, close)
+// @route   PUT /api/issues/:id/status
+// @access  Private
+const updateIssueStatus = asyncHandler(async (req, res) => {
+  const { status, reason } = updateStatusSchema.parse(req.body);
+
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
     return res.status(404).json({
       success: false,
-      message: 'Helper not found'
+      message: 'Issue not found'
+    });
+  }
+
+  // Reopening has its own rules (window, history, credit), so it has its own endpoint
+  if (issue.status === 'resolved' && status !== 'closed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Use the reopen endpoint to reopen a resolved issue'
     });
   }
 
-  issue.assignedTo = assignedTo;
-  issue.status = 'assigned';
+  const before = issue.toObject();
+
+  if (status === 'open') {
+    issue.unassign(req.user, reason);
+  } else if (status === 'assigned' && !issue.assignedTo) {
+    return res.status(400).json({
+      success: false,
+      message: 'Use the assign endpoint to assign a helper'
+    });
+  } else {
+    issue.transitionTo(status, req.user, reason);
+  }
+
   await issue.save();
 
+  await IssueActivity.record(issue._id, 'status', req.user,
+    IssueActivity.diff(before, issue.toObject(), LIFECYCLE_FIELDS), reason ? { reason } : undefined);
+
   await issue.populate('assignedTo', 'firstName lastName employeeId department');
 
   res.json({
@@ -305,19 +648,72 @@ const assignIssue = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Add comment to issue
-// @route   POST /api/issues/:id/comments
+// @desc    Get issue status transition history
+// @route   GET /api/issues/:id/transitions
 // @access  Private
-const addComment = asyncHandler(async (req, res) => {
-  const { content, isSolution = false } = req.body;
+const getIssueTransitions = asyncHandler(async (req, res) => {
+  const issue = await Issue.findById(req.params.id)
+    .select('status postedBy assignedTo transitions')
+    .populate('transitions.actor', 'firstName lastName employeeId');
 
-  if (!content || content.trim().length === 0) {
-    return res.status(400).json({
+  if (!issue) {
+    return res.status(404).json({
       success: false,
-      message: 'Comment content is required'
+      message: 'Issue not found'
     });
   }
 
+  res.json({
+    success: true,
+    data: {
+      status: issue.status,
+      allowedTransitions: issue.getAllowedTransitions(req.user),
+      transitions: issue.transitions
+    }
+  });
+});
+
+// @desc    Get issue activity timeline
+// @route   GET /api/issues/:id/activity
+// @access  Private
+const getIssueActivity = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const filter = { issue: req.params.id };
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const activity = await IssueActivity.find(filter)
+    .populate('actor', 'firstName lastName employeeId')
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await IssueActivity.countDocuments(filter);
+
+  // Deleted issues keep their timeline, so only 404 when nothing was ever logged
+  if (total === 0 && !(await Issue.exists({ _id: req.params.id }))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: activity,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    }
+  });
+});
+
+// @desc    Watch issue
+// @route   POST /api/issues/:id/watch
+// @access  Private
+const watchIssue = asyncHandler(async (req, res) => {
   const issue = await Issue.findById(req.params.id);
 
   if (!issue) {
@@ -327,30 +723,167 @@ const addComment = asyncHandler(async (req, res) => {
     });
   }
 
-  issue.addComment(req.user._id, content.trim(), isSolution);
-  await issue.save();
+  if (issue.addWatcher(req.user._id)) {
+    await issue.save();
+  }
+  socketService.joinIssueRoom(req.user._id.toString(), issue._id);
+
+  res.json({
+    success: true,
+    data: { watching: true, watcherCount: issue.watchers.length }
+  });
+});
+
+// @desc    Stop watching issue
+// @route   DELETE /api/issues/:id/watch
+// @access  Private
+const unwatchIssue = asyncHandler(async (req, res) => {
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  if (issue.removeWatcher(req.user._id)) {
+    await issue.save();
+  }
+  socketService.leaveIssueRoom(req.user._id.toString(), issue._id);
+
+  res.json({
+    success: true,
+    data: { watching: false, watcherCount: issue.watchers.length }
+  });
+});
 
-  await issue.populate('comments.user', 'firstName lastName employeeId');
+// @desc    Get issue watchers
+// @route   GET /api/issues/:id/watchers
+// @access  Private
+const getIssueWatchers = asyncHandler(async (req, res) => {
+  const issue = await Issue.findById(req.params.id)
+    .select('watchers')
+    .populate('watchers', 'firstName lastName employeeId department');
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
 
   res.json({
     success: true,
-    data: issue.comments[issue.comments.length - 1]
+    data: issue.watchers,
+    isWatching: issue.watchers.some(watcher => watcher._id.toString() === req.user._id.toString())
   });
 });
 
-// @desc    Resolve issue
-// @route   PUT /api/issues/:id/resolve
+// @desc    Add a helper working alongside the assignee (may log time)
+// @route   POST /api/issues/:id/collaborators
 // @access  Private
-const resolveIssue = asyncHandler(async (req, res) => {
-  const { solution, timeSpent } = req.body;
+const addCollaborator = asyncHandler(async (req, res) => {
+  const { userId } = collaboratorSchema.parse(req.body);
+
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  if (issue.getActorRoles(req.user).length === 0) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the owner, assignee or an admin can add collaborators'
+    });
+  }
+
+  if (issue.status === 'closed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot add collaborators to a closed issue'
+    });
+  }
+
+  const collaborator = await User.findOne({ _id: userId, isActive: true });
 
-  if (!solution) {
+  if (!collaborator) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (issue.isWorkingOn(collaborator)) {
     return res.status(400).json({
       success: false,
-      message: 'Solution is required'
+      message: 'This user is already working on the issue'
     });
   }
 
+  const before = issue.toObject();
+  issue.addCollaborator(collaborator._id);
+  await issue.save();
+
+  await IssueActivity.record(issue._id, 'update', req.user,
+    IssueActivity.diff(before, issue.toObject(), ['collaborators']));
+  socketService.joinIssueRoom(collaborator._id.toString(), issue._id);
+
+  res.json({
+    success: true,
+    data: issue.collaborators
+  });
+});
+
+// @desc    Remove a collaborator (or leave as one)
+// @route   DELETE /api/issues/:id/collaborators/:userId
+// @access  Private
+const removeCollaborator = asyncHandler(async (req, res) => {
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  const isSelf = req.params.userId === req.user._id.toString();
+  if (!isSelf && issue.getActorRoles(req.user).length === 0) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the owner, assignee or an admin can remove collaborators'
+    });
+  }
+
+  const before = issue.toObject();
+  if (!issue.removeCollaborator(req.params.userId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Collaborator not found'
+    });
+  }
+  await issue.save();
+
+  await IssueActivity.record(issue._id, 'update', req.user,
+    IssueActivity.diff(before, issue.toObject(), ['collaborators']));
+
+  res.json({
+    success: true,
+    data: issue.collaborators
+  });
+});
+
+// @desc    Resolve issue
+// @route   PUT /api/issues/:id/resolve
+// @access  Private
+const resolveIssue = asyncHandler(async (req, res) => {
+  const { solution, timeSpent } = resolveIssueSchema.parse(req.body);
+
   const issue = await Issue.findById(req.params.id);
 
   if (!issue) {
@@ -361,20 +894,44 @@ const resolveIssue = asyncHandler(async (req, res) => {
   }
 
   // Check if user can resolve this issue
-  if (issue.assignedTo.toString() !== req.user._id.toString()) {
+  if (!issue.assignedTo || issue.assignedTo.toString() !== req.user._id.toString()) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to resolve this issue'
     });
   }
 
-  issue.resolve(req.user._id, solution, timeSpent);
-  await issue.save();
+  const before = issue.toObject();
+  issue.resolve(req.user, solution);
+
+  // Time typed in at resolution becomes a manual work log entry, taken back
+  // if the resolution itself can't be saved
+  const entry = timeSpent
+    ? await workLogService.addManual(issue, req.user, { minutes: timeSpent, note: 'Logged when resolving' })
+    : null;
+
+  try {
+    await issue.save();
+  } catch (error) {
+    if (entry) await workLogService.remove(entry);
+    throw error;
+  }
+
+  await workLogService.handleResolved(issue);
+
+  await IssueActivity.record(issue._id, 'resolve', req.user,
+    IssueActivity.diff(before, issue.toObject(), LIFECYCLE_FIELDS));
+
+  // The resolution is already saved, so a failure here must not fail the request
+  try {
+    await relationshipService.handleResolved(issue);
+  } catch (error) {
+    console.error(`Error updating duplicates of issue ${issue._id}:`, error);
+  }
 
   // Update helper's contribution stats
   const helper = await User.findById(req.user._id);
   helper.contributions.issuesResolved += 1;
-  helper.contributions.totalTimeHelped += timeSpent || 0;
   await helper.save();
 
   await issue.populate('resolution.resolvedBy', 'firstName lastName employeeId');
@@ -423,10 +980,13 @@ const markAsSolved = asyncHandler(async (req, res) => {
     });
   }
 
-  // Handle "self" case (solved by issue owner)
-  if (solvedBy === 'self') {
+  const before = issue.toObject();
+
+  // Handle "self" case (solved by issue owner). Owners are never credited, so
+  // passing their own id counts as "self" and reopening has nothing to take back.
+  if (solvedBy === 'self' || solvedBy === req.user._id.toString()) {
     // Mark issue as solved by the owner
-    issue.markAsSolved(req.user._id, solution, 0);
+    issue.markAsSolved(req.user, req.user._id, solution, 0);
     await issue.save();
   } else {
     // Check if solver exists
@@ -439,7 +999,7 @@ const markAsSolved = asyncHandler(async (req, res) => {
     }
 
     // Mark issue as solved
-    issue.markAsSolved(solvedBy, solution, pointsAwarded);
+    issue.markAsSolved(req.user, solvedBy, solution, pointsAwarded);
     await issue.save();
 
     // Update solver's points and contributions
@@ -448,6 +1008,16 @@ const markAsSolved = asyncHandler(async (req, res) => {
     await solver.save();
   }
 
+  await workLogService.handleResolved(issue);
+  await IssueActivity.record(issue._id, 'solve', req.user,
+    IssueActivity.diff(before, issue.toObject(), LIFECYCLE_FIELDS));
+
+  try {
+    await relationshipService.handleResolved(issue);
+  } catch (error) {
+    console.error(`Error updating duplicates of issue ${issue._id}:`, error);
+  }
+
   await issue.populate('resolution.solvedBy', 'firstName lastName employeeId department');
 
   res.json({
@@ -456,6 +1026,55 @@ const markAsSolved = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Reopen a resolved issue
+// @route   PUT /api/issues/:id/reopen
+// @access  Private
+const reopenIssue = asyncHandler(async (req, res) => {
+  const { reason } = reopenIssueSchema.parse(req.body);
+
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  if (issue.status !== 'resolved') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only resolved issues can be reopened'
+    });
+  }
+
+  // Check the reopen window
+  const resolvedAt = issue.getResolvedAt();
+  const windowEnd = resolvedAt && new Date(resolvedAt.getTime() + REOPEN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (windowEnd && windowEnd < new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: `Issues can only be reopened within ${REOPEN_WINDOW_DAYS} days of resolution`
+    });
+  }
+
+  const before = issue.toObject();
+  const previousResolution = issue.reopen(req.user, reason);
+  await issue.save();
+
+  await reverseResolutionCredit(previousResolution, issue.postedBy);
+
+  await IssueActivity.record(issue._id, 'reopen', req.user,
+    IssueActivity.diff(before, issue.toObject(), LIFECYCLE_FIELDS), { reason });
+
+  await issue.populate('assignedTo', 'firstName lastName employeeId department');
+
+  res.json({
+    success: true,
+    data: issue
+  });
+});
+
 // @desc    Vote on issue
 // @route   POST /api/issues/:id/vote
 // @access  Private
@@ -478,6 +1097,9 @@ const voteIssue = asyncHandler(async (req, res) => {
     });
   }
 
+  const voteField = voteType === 'upvote' ? 'upvotes' : 'downvotes';
+  const previousCount = issue[voteField].length;
+
   let success = false;
   if (voteType === 'upvote') {
     success = issue.addUpvote(req.user._id);
@@ -494,6 +1116,12 @@ const voteIssue = asyncHandler(async (req, res) => {
 
   await issue.save();
 
+  await IssueActivity.record(issue._id, 'vote', req.user, [{
+    field: voteField,
+    from: previousCount,
+    to: issue[voteField].length
+  }]);
+
   res.json({
     success: true,
     data: {
@@ -506,14 +1134,26 @@ const voteIssue = asyncHandler(async (req, res) => {
 
 module.exports = {
   createIssue,
+  triageIssue,
+  checkDuplicates,
   getIssues,
+  searchIssues,
   getIssue,
   updateIssue,
   deleteIssue,
   getHelperSuggestions,
   assignIssue,
-  addComment,
+  autoAssignIssue,
+  updateIssueStatus,
+  getIssueTransitions,
+  getIssueActivity,
+  watchIssue,
+  unwatchIssue,
+  getIssueWatchers,
+  addCollaborator,
+  removeCollaborator,
   resolveIssue,
   markAsSolved,
+  reopenIssue,
   voteIssue
 }; 
\ No newline at end of file
@@ -0,0 +1,308 @@
+const KbArticle = require('../models/KbArticle');
+const Issue = require('../models/Issue');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const escapeRegex = require('../utils/escapeRegex');
+const { z } = require('zod');
+
+const categoryEnum = z.enum(['hardware', 'software', 'network', 'printer', 'email', 'access', 'other']);
+
+// Validation schemas
+const articleContentSchema = z.object({
+  title: z.string().min(5).max(200),
+  steps: z.array(z.string().min(1)).min(1),
+  categories: z.array(categoryEnum).min(1),
+  skills: z.array(z.string().min(2)).optional(),
+  tags: z.array(z.string()).optional()
+});
+
+const promoteArticleSchema = articleContentSchema.partial().extend({
+  issueId: z.string().min(1)
+});
+
+const updateArticleSchema = articleContentSchema.partial().extend({
+  changeNote: z.string().max(500).optional()
+});
+
+const suggestArticlesSchema = z.object({
+  title: z.string().min(3).max(200),
+  description: z.string().optional(),
+  category: categoryEnum.optional(),
+  requiredSkills: z.array(z.string()).optional()
+});
+
+// Users who helped resolve an issue (plus admins) may turn it into an article
+const canPromote = (issue, user) => {
+  if (user.role === 'admin') return true;
+
+  const userId = user._id.toString();
+  const helperIds = [
+    issue.resolution.resolvedBy,
+    issue.resolution.solvedBy,
+    issue.assignedTo,
+    ...issue.comments.filter(comment => comment.isSolution).map(comment => comment.user)
+  ].filter(Boolean).map(id => id.toString());
+
+  return helperIds.includes(userId);
+};
+
+const canEdit = (article, user) =>
+  user.role === 'admin' || article.author.toString() === user._id.toString();
+
+// @desc    Get knowledge base articles
+// @route   GET /api/kb/articles
+// @access  Private
+const getArticles = asyncHandler(async (req, res) => {
+  const { q, category, skill, status = 'published', page = 1, limit = 10 } = req.query;
+
+  const filter = { status };
+  if (category) filter.categories = category;
+  if (skill) filter.skills = new RegExp(`^${escapeRegex(skill)}$`, 'i');
+  if (q) filter.$text = { $search: q };
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const articles = await KbArticle.find(filter, q ? { score: { $meta: 'textScore' } } : {})
+    .select('-versions')
+    .populate('author', 'firstName lastName employeeId')
+    .sort(q ? { score: { $meta: 'textScore' } } : { helpfulCount: -1, updatedAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await KbArticle.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: articles,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    }
+  });
+});
+
+// @desc    Get single knowledge base article
+// @route   GET /api/kb/articles/:id
+// @access  Private
+const getArticle = asyncHandler(async (req, res) => {
+  const article = await KbArticle.findById(req.params.id)
+    .select('-versions')
+    .populate('author', 'firstName lastName employeeId department')
+    .populate('sourceIssue', 'title status category');
+
+  if (!article) {
+    return res.status(404).json({
+      success: false,
+      message: 'Article not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: article
+  });
+});
+
+// @desc    Promote a resolved issue into an article
+// @route   POST /api/kb/articles
+// @access  Private
+const createArticle = asyncHandler(async (req, res) => {
+  const { issueId, ...overrides } = promoteArticleSchema.parse(req.body);
+
+  const issue = await Issue.findById(issueId);
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  if (!['resolved', 'closed'].includes(issue.status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only resolved issues can be promoted to articles'
+    });
+  }
+
+  if (issue.kbArticle) {
+    return res.status(400).json({
+      success: false,
+      message: 'Issue has already been promoted to an article'
+    });
+  }
+
+  if (!canPromote(issue, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only helpers who worked on this issue can promote it'
+    });
+  }
+
+  // Fill anything not provided from the issue's resolution
+  const content = articleContentSchema.parse({
+    ...knowledgeBaseService.buildDraftFromIssue(issue),
+    ...overrides
+  });
+
+  const article = new KbArticle({
+    ...content,
+    sourceIssue: issue._id,
+    author: req.user._id
+  });
+  article.snapshot(req.user._id, 'Promoted from issue');
+  await article.save();
+
+  issue.kbArticle = article._id;
+  await issue.save();
+
+  res.status(201).json({
+    success: true,
+    data: article
+  });
+});
+
+// @desc    Update article (creates a new version)
+// @route   PUT /api/kb/articles/:id
+// @access  Private
+const updateArticle = asyncHandler(async (req, res) => {
+  const { changeNote, ...updates } = updateArticleSchema.parse(req.body);
+
+  const article = await KbArticle.findById(req.params.id);
+
+  if (!article) {
+    return res.status(404).json({
+      success: false,
+      message: 'Article not found'
+    });
+  }
+
+  if (!canEdit(article, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to edit this article'
+    });
+  }
+
+  article.revise(updates, req.user._id, changeNote);
+  await article.save();
+
+  res.json({
+    success: true,
+    data: article
+  });
+});
+
+// @desc    Archive article
+// @route   DELETE /api/kb/articles/:id
+// @access  Private
+const archiveArticle = asyncHandler(async (req, res) => {
+  const article = await KbArticle.findById(req.params.id);
+
+  if (!article) {
+    return res.status(404).json({
+      success: false,
+      message: 'Article not found'
+    });
+  }
+
+  if (!canEdit(article, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to archive this article'
+    });
+  }
+
+  article.status = 'archived';
+  await article.save();
+
+  res.json({
+    success: true,
+    message: 'Article archived successfully'
+  });
+});
+
+// @desc    Get article version history
+// @route   GET /api/kb/articles/:id/versions
+// @access  Private
+const getArticleVersions = asyncHandler(async (req, res) => {
+  const article = await KbArticle.findById(req.params.id)
+    .select('title version versions')
+    .populate('versions.editedBy', 'firstName lastName employeeId');
+
+  if (!article) {
+    return res.status(404).json({
+      success: false,
+      message: 'Article not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      currentVersion: article.version,
+      versions: [...article.versions].reverse()
+    }
+  });
+});
+
+// @desc    Vote on article helpfulness
+// @route   POST /api/kb/articles/:id/vote
+// @access  Private
+const voteArticle = asyncHandler(async (req, res) => {
+  const { helpful } = req.body;
+
+  if (typeof helpful !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'Helpful must be true or false'
+    });
+  }
+
+  const article = await KbArticle.findById(req.params.id);
+
+  if (!article) {
+    return res.status(404).json({
+      success: false,
+      message: 'Article not found'
+    });
+  }
+
+  article.vote(req.user._id, helpful);
+  await article.save();
+
+  res.json({
+    success: true,
+    data: {
+      helpfulCount: article.helpfulCount,
+      notHelpfulCount: article.notHelpfulCount
+    }
+  });
+});
+
+// @desc    Suggest articles for a draft issue
+// @route   POST /api/kb/suggest
+// @access  Private
+const suggestArticles = asyncHandler(async (req, res) => {
+  const validatedData = suggestArticlesSchema.parse(req.body);
+
+  const suggestions = await knowledgeBaseService.suggestArticles(validatedData);
+
+  res.json({
+    success: true,
+    data: suggestions
+  });
+});
+
+module.exports = {
+  getArticles,
+  getArticle,
+  createArticle,
+  updateArticle,
+  archiveArticle,
+  getArticleVersions,
+  voteArticle,
+  suggestArticles
+};
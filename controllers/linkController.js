@@ -0,0 +1,94 @@
+const Issue = require('../models/Issue');
+const relationshipService = require('../services/relationshipService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { z } = require('zod');
+
+// Validation schemas
+const addLinkSchema = z.object({
+  type: z.enum(Object.keys(Issue.LINK_INVERSES)),
+  issueId: z.string().min(1)
+});
+
+// Owners, assignees and admins may change how an issue is linked
+const canEditLinks = (issue, user) => issue.getActorRoles(user).length > 0;
+
+// @desc    Link issue to another issue
+// @route   POST /api/issues/:id/links
+// @access  Private
+const addLink = asyncHandler(async (req, res) => {
+  const { type, issueId } = addLinkSchema.parse(req.body);
+
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  if (!canEditLinks(issue, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to link this issue'
+    });
+  }
+
+  const target = await Issue.findById(issueId);
+
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      message: 'Linked issue not found'
+    });
+  }
+
+  const link = await relationshipService.link(issue, type, target, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: link
+  });
+});
+
+// @desc    Remove link between issues
+// @route   DELETE /api/issues/:id/links/:linkId
+// @access  Private
+const removeLink = asyncHandler(async (req, res) => {
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  if (!canEditLinks(issue, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to unlink this issue'
+    });
+  }
+
+  const link = issue.links.id(req.params.linkId);
+
+  if (!link) {
+    return res.status(404).json({
+      success: false,
+      message: 'Link not found'
+    });
+  }
+
+  await relationshipService.unlink(issue, link, req.user);
+
+  res.json({
+    success: true,
+    message: 'Link removed successfully'
+  });
+});
+
+module.exports = {
+  addLink,
+  removeLink
+};
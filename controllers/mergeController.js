@@ -0,0 +1,76 @@
+const Issue = require('../models/Issue');
+const mergeService = require('../services/mergeService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { z } = require('zod');
+
+// Validation schemas
+const mergeIssuesSchema = z.object({
+  sourceIds: z.array(z.string().min(1)).min(1).max(mergeService.maxSources)
+});
+
+// @desc    Merge duplicate issues into this one
+// @route   POST /api/issues/:id/merge
+// @access  Private
+const mergeIssues = asyncHandler(async (req, res) => {
+  const { sourceIds } = mergeIssuesSchema.parse(req.body);
+
+  const target = await Issue.findById(req.params.id);
+
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  // Helpers working the target and admins decide what gets folded into it
+  if (target.getActorRoles(req.user).length === 0) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the owner, assignee or an admin can merge into this issue'
+    });
+  }
+
+  const uniqueIds = [...new Set(sourceIds)];
+  const sources = await Issue.find({ _id: { $in: uniqueIds } });
+
+  if (sources.length !== uniqueIds.length) {
+    return res.status(404).json({
+      success: false,
+      message: 'One or more source issues not found'
+    });
+  }
+
+  // Merging closes the sources, so the caller must be allowed to close each one.
+  // Sources already merged here are closed and left as they are on a retry.
+  const forbidden = sources.find(source => {
+    if (source.mergedInto && source.mergedInto.equals(target._id)) return false;
+
+    const roles = source.getActorRoles(req.user);
+    return !roles.includes('owner') && !roles.includes('admin') && !source.canTransition('closed', req.user);
+  });
+
+  if (forbidden) {
+    return res.status(403).json({
+      success: false,
+      message: `Not authorized to merge issue ${forbidden._id}`
+    });
+  }
+
+  const merge = await mergeService.merge(target, sources, req.user);
+
+  const merged = await Issue.findById(target._id)
+    .populate('postedBy', 'firstName lastName employeeId department')
+    .populate('assignedTo', 'firstName lastName employeeId department')
+    .populate('comments.user', 'firstName lastName employeeId');
+
+  res.json({
+    success: true,
+    data: merged,
+    merge
+  });
+});
+
+module.exports = {
+  mergeIssues
+};
@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const OnCallSchedule = require('../models/OnCallSchedule');
+const User = require('../models/User');
+const onCallService = require('../services/onCallService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { isValidTimeZone } = require('../utils/timezone');
+const { z } = require('zod');
+
+const CATEGORIES = ['hardware', 'software', 'network', 'printer', 'email', 'access', 'other'];
+
+const userId = z.string().refine(value => mongoose.isValidObjectId(value), { message: 'Invalid user id' });
+
+// Validation schemas
+const scheduleSchema = z.object({
+  name: z.string().trim().min(2).max(100),
+  categories: z.array(z.enum(CATEGORIES)).min(1),
+  department: z.string().trim().min(1).max(100).nullable().optional(),
+  timezone: z.string().refine(isValidTimeZone, { message: 'Unknown time zone' }).optional(),
+  members: z.array(userId).min(1).max(50),
+  rotation: z.enum(['daily', 'weekly']).optional(),
+  handoffTime: z.string().regex(OnCallSchedule.HANDOFF_TIME_PATTERN, 'Handoff time must be HH:MM').optional(),
+  handoffDay: z.number().int().min(0).max(6).optional(),
+  rotationStart: z.coerce.date().optional(),
+  isActive: z.boolean().optional()
+});
+
+const updateScheduleSchema = scheduleSchema.partial();
+
+const overrideSchema = z.object({
+  user: userId,
+  startsAt: z.coerce.date(),
+  endsAt: z.coerce.date(),
+  reason: z.string().trim().max(200).optional()
+}).refine(data => data.endsAt > data.startsAt, {
+  message: 'An override must end after it starts'
+});
+
+const onCallQuerySchema = z.object({
+  category: z.enum(CATEGORIES),
+  department: z.string().trim().min(1).max(100).optional(),
+  at: z.coerce.date().optional()
+});
+
+const MEMBER_FIELDS = 'firstName lastName employeeId department';
+
+// Every id must belong to an active user
+const findMissingUsers = async (ids) => {
+  const uniqueIds = [...new Set(ids)];
+  const found = await User.find({ _id: { $in: uniqueIds }, isActive: true }).select('_id');
+  const foundIds = found.map(user => user._id.toString());
+
+  return uniqueIds.filter(id => !foundIds.includes(id));
+};
+
+// @desc    Get who is on call for a category
+// @route   GET /api/oncall/:category
+// @access  Private
+const getOnCall = asyncHandler(async (req, res) => {
+  const { category, department, at } = onCallQuerySchema.parse({ ...req.query, category: req.params.category });
+
+  const result = await onCallService.getOnCall(category, department || req.user.department, at);
+
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      message: `Nobody is on call for ${category}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// @desc    Get all on-call schedules
+// @route   GET /api/oncall/schedules
+// @access  Private/Admin
+const getSchedules = asyncHandler(async (req, res) => {
+  const schedules = await OnCallSchedule.find()
+    .populate('members', MEMBER_FIELDS)
+    .sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: schedules
+  });
+});
+
+// @desc    Get single on-call schedule
+// @route   GET /api/oncall/schedules/:id
+// @access  Private/Admin
+const getSchedule = asyncHandler(async (req, res) => {
+  const schedule = await OnCallSchedule.findById(req.params.id)
+    .populate('members', MEMBER_FIELDS)
+    .populate('overrides.user', MEMBER_FIELDS);
+
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      message: 'On-call schedule not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: schedule
+  });
+});
+
+// @desc    Create on-call schedule
+// @route   POST /api/oncall/schedules
+// @access  Private/Admin
+const createSchedule = asyncHandler(async (req, res) => {
+  const validatedData = scheduleSchema.parse(req.body);
+
+  const missing = await findMissingUsers(validatedData.members);
+  if (missing.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown or inactive members: ${missing.join(', ')}`
+    });
+  }
+
+  const schedule = await OnCallSchedule.create({
+    ...validatedData,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: schedule
+  });
+});
+
+// @desc    Update on-call schedule
+// @route   PUT /api/oncall/schedules/:id
+// @access  Private/Admin
+const updateSchedule = asyncHandler(async (req, res) => {
+  const validatedData = updateScheduleSchema.parse(req.body);
+
+  const schedule = await OnCallSchedule.findById(req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      message: 'On-call schedule not found'
+    });
+  }
+
+  if (validatedData.members) {
+    const missing = await findMissingUsers(validatedData.members);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown or inactive members: ${missing.join(', ')}`
+      });
+    }
+  }
+
+  schedule.set(validatedData);
+  await schedule.save();
+
+  res.json({
+    success: true,
+    data: schedule
+  });
+});
+
+// @desc    Delete on-call schedule
+// @route   DELETE /api/oncall/schedules/:id
+// @access  Private/Admin
+const deleteSchedule = asyncHandler(async (req, res) => {
+  const schedule = await OnCallSchedule.findByIdAndDelete(req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      message: 'On-call schedule not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'On-call schedule deleted successfully'
+  });
+});
+
+// @desc    Put someone else on call for a period
+// @route   POST /api/oncall/schedules/:id/overrides
+// @access  Private/Admin
+const addOverride = asyncHandler(async (req, res) => {
+  const validatedData = overrideSchema.parse(req.body);
+
+  const schedule = await OnCallSchedule.findById(req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      message: 'On-call schedule not found'
+    });
+  }
+
+  const missing = await findMissingUsers([validatedData.user]);
+  if (missing.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Unknown or inactive user'
+    });
+  }
+
+  // Drop overrides that have already ended
+  const now = new Date();
+  schedule.overrides = schedule.overrides.filter(override => override.endsAt > now);
+  schedule.overrides.push({ ...validatedData, createdBy: req.user._id });
+  await schedule.save();
+
+  res.status(201).json({
+    success: true,
+    data: schedule.overrides[schedule.overrides.length - 1]
+  });
+});
+
+// @desc    Remove an override
+// @route   DELETE /api/oncall/schedules/:id/overrides/:overrideId
+// @access  Private/Admin
+const removeOverride = asyncHandler(async (req, res) => {
+  const schedule = await OnCallSchedule.findById(req.params.id);
+  const override = schedule && schedule.overrides.id(req.params.overrideId);
+
+  if (!override) {
+    return res.status(404).json({
+      success: false,
+      message: 'Override not found'
+    });
+  }
+
+  override.deleteOne();
+  await schedule.save();
+
+  res.json({
+    success: true,
+    message: 'Override removed successfully'
+  });
+});
+
+module.exports = {
+  getOnCall,
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  addOverride,
+  removeOverride
+};
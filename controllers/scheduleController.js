@@ -0,0 +1,257 @@
+const MaintenanceSchedule = require('../models/MaintenanceSchedule');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { isValidCron } = require('../utils/cron');
+const { isValidTimeZone } = require('../utils/timezone');
+const { z } = require('zod');
+
+// Validation schemas
+const scheduleSchema = z.object({
+  name: z.string().min(2).max(100),
+  cron: z.string().refine(isValidCron, { message: 'Invalid cron expression (minute hour day-of-month month day-of-week)' }),
+  timezone: z.string().refine(isValidTimeZone, { message: 'Unknown time zone' }).optional(),
+  template: z.object({
+    title: z.string().min(5).max(200),
+    description: z.string().min(10),
+    category: z.enum(['hardware', 'software', 'network', 'printer', 'email', 'access', 'other']),
+    priority: z.enum(['low', 'medium', 'high', 'urgent']).optional(),
+    requiredSkills: z.array(z.string().min(2)).min(1),
+    location: z.object({
+      building: z.string().optional(),
+      floor: z.string().optional(),
+      room: z.string().optional()
+    }).optional(),
+    tags: z.array(z.string()).optional(),
+    estimatedTime: z.number().positive().optional()
+  }),
+  assignment: z.object({
+    mode: z.enum(['none', 'fixed', 'rotation']),
+    assignee: z.string().optional(),
+    rotation: z.array(z.string()).optional()
+  }).refine(data => data.mode !== 'fixed' || data.assignee, {
+    message: 'A fixed assignment needs an assignee'
+  }).refine(data => data.mode !== 'rotation' || (data.rotation && data.rotation.length > 0), {
+    message: 'A rotation needs at least one member'
+  }).optional()
+});
+
+const updateScheduleSchema = scheduleSchema.partial();
+
+// Make sure every helper named in an assignment exists and is active
+const findMissingAssignees = async (assignment) => {
+  if (!assignment) return [];
+
+  const ids = assignment.mode === 'fixed' ? [assignment.assignee]
+    : assignment.mode === 'rotation' ? assignment.rotation
+    : [];
+  const uniqueIds = [...new Set(ids)];
+
+  const found = await User.find({ _id: { $in: uniqueIds }, isActive: true }).select('_id');
+  const foundIds = found.map(user => user._id.toString());
+
+  return uniqueIds.filter(id => !foundIds.includes(id));
+};
+
+// @desc    Get all maintenance schedules
+// @route   GET /api/schedules
+// @access  Private/Admin
+const getSchedules = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.paused === 'true') filter.isPaused = true;
+  if (req.query.paused === 'false') filter.isPaused = false;
+
+  const schedules = await MaintenanceSchedule.find(filter)
+    .populate('assignment.assignee', 'firstName lastName employeeId')
+    .populate('assignment.rotation', 'firstName lastName employeeId')
+    .sort({ nextRunAt: 1 });
+
+  res.json({
+    success: true,
+    data: schedules
+  });
+});
+
+// @desc    Get single maintenance schedule
+// @route   GET /api/schedules/:id
+// @access  Private/Admin
+const getSchedule = asyncHandler(async (req, res) => {
+  const schedule = await MaintenanceSchedule.findById(req.params.id)
+    .populate('assignment.assignee', 'firstName lastName employeeId')
+    .populate('assignment.rotation', 'firstName lastName employeeId')
+    .populate('lastIssue', 'title status');
+
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Schedule not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: schedule
+  });
+});
+
+// @desc    Create maintenance schedule
+// @route   POST /api/schedules
+// @access  Private/Admin
+const createSchedule = asyncHandler(async (req, res) => {
+  const validatedData = scheduleSchema.parse(req.body);
+
+  const missing = await findMissingAssignees(validatedData.assignment);
+  if (missing.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown or inactive assignees: ${missing.join(', ')}`
+    });
+  }
+
+  const schedule = new MaintenanceSchedule({
+    ...validatedData,
+    createdBy: req.user._id
+  });
+  schedule.nextRunAt = schedule.computeNextRun();
+
+  if (!schedule.nextRunAt) {
+    return res.status(400).json({
+      success: false,
+      message: 'The cron expression never matches a date, e.g. 31 February'
+    });
+  }
+
+  await schedule.save();
+
+  res.status(201).json({
+    success: true,
+    data: schedule
+  });
+});
+
+// @desc    Update maintenance schedule
+// @route   PUT /api/schedules/:id
+// @access  Private/Admin
+const updateSchedule = asyncHandler(async (req, res) => {
+  const validatedData = updateScheduleSchema.parse(req.body);
+
+  const schedule = await MaintenanceSchedule.findById(req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Schedule not found'
+    });
+  }
+
+  const missing = await findMissingAssignees(validatedData.assignment);
+  if (missing.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown or inactive assignees: ${missing.join(', ')}`
+    });
+  }
+
+  schedule.set(validatedData);
+
+  // A new rule takes effect from now on
+  if (validatedData.cron || validatedData.timezone) {
+    schedule.nextRunAt = schedule.computeNextRun();
+
+    if (!schedule.nextRunAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'The cron expression never matches a date, e.g. 31 February'
+      });
+    }
+  }
+
+  await schedule.save();
+
+  res.json({
+    success: true,
+    data: schedule
+  });
+});
+
+// @desc    Pause maintenance schedule
+// @route   PUT /api/schedules/:id/pause
+// @access  Private/Admin
+const pauseSchedule = asyncHandler(async (req, res) => {
+  const schedule = await MaintenanceSchedule.findByIdAndUpdate(
+    req.params.id,
+    { isPaused: true },
+    { new: true }
+  );
+
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Schedule not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: schedule
+  });
+});
+
+// @desc    Resume maintenance schedule (runs missed while paused are skipped)
+// @route   PUT /api/schedules/:id/resume
+// @access  Private/Admin
+const resumeSchedule = asyncHandler(async (req, res) => {
+  const schedule = await MaintenanceSchedule.findById(req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Schedule not found'
+    });
+  }
+
+  schedule.isPaused = false;
+  schedule.nextRunAt = schedule.computeNextRun();
+
+  if (!schedule.nextRunAt) {
+    return res.status(400).json({
+      success: false,
+      message: 'The cron expression never matches a date, e.g. 31 February'
+    });
+  }
+
+  await schedule.save();
+
+  res.json({
+    success: true,
+    data: schedule
+  });
+});
+
+// @desc    Delete maintenance schedule
+// @route   DELETE /api/schedules/:id
+// @access  Private/Admin
+const deleteSchedule = asyncHandler(async (req, res) => {
+  const schedule = await MaintenanceSchedule.findByIdAndDelete(req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Schedule not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Schedule deleted successfully'
+  });
+});
+
+module.exports = {
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule
+};
@@ -0,0 +1,126 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { z } = require('zod');
+
+// Validation schemas
+const slaPolicySchema = z.object({
+  name: z.string().min(2).max(100),
+  priority: z.enum(['low', 'medium', 'high', 'urgent']),
+  category: z.enum(['hardware', 'software', 'network', 'printer', 'email', 'access', 'other']).nullable().optional(),
+  responseTime: z.number().int().positive(),
+  resolutionTime: z.number().int().positive(),
+  atRiskThreshold: z.number().min(0.1).max(1).optional(),
+  isActive: z.boolean().optional()
+}).refine(data => data.resolutionTime >= data.responseTime, {
+  message: 'Resolution time must not be shorter than response time'
+});
+
+// @desc    Get all SLA policies
+// @route   GET /api/sla-policies
+// @access  Private/Admin
+const getSlaPolicies = asyncHandler(async (req, res) => {
+  const policies = await SlaPolicy.find()
+    .sort({ priority: 1, category: 1 });
+
+  res.json({
+    success: true,
+    data: policies,
+    defaults: SlaPolicy.DEFAULT_SLA_TARGETS
+  });
+});
+
+// @desc    Get single SLA policy
+// @route   GET /api/sla-policies/:id
+// @access  Private/Admin
+const getSlaPolicy = asyncHandler(async (req, res) => {
+  const policy = await SlaPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return res.status(404).json({
+      success: false,
+      message: 'SLA policy not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: policy
+  });
+});
+
+// @desc    Create SLA policy
+// @route   POST /api/sla-policies
+// @access  Private/Admin
+const createSlaPolicy = asyncHandler(async (req, res) => {
+  const validatedData = slaPolicySchema.parse(req.body);
+
+  const policy = await SlaPolicy.create({
+    ...validatedData,
+    category: validatedData.category || null,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: policy
+  });
+});
+
+// @desc    Update SLA policy
+// @route   PUT /api/sla-policies/:id
+// @access  Private/Admin
+const updateSlaPolicy = asyncHandler(async (req, res) => {
+  const policy = await SlaPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return res.status(404).json({
+      success: false,
+      message: 'SLA policy not found'
+    });
+  }
+
+  const validatedData = slaPolicySchema.parse({
+    ...policy.toObject(),
+    ...req.body
+  });
+
+  policy.set({
+    ...validatedData,
+    category: validatedData.category || null
+  });
+  await policy.save();
+
+  res.json({
+    success: true,
+    data: policy
+  });
+});
+
+// @desc    Delete SLA policy
+// @route   DELETE /api/sla-policies/:id
+// @access  Private/Admin
+const deleteSlaPolicy = asyncHandler(async (req, res) => {
+  const policy = await SlaPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return res.status(404).json({
+      success: false,
+      message: 'SLA policy not found'
+    });
+  }
+
+  await policy.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'SLA policy deleted successfully'
+  });
+});
+
+module.exports = {
+  getSlaPolicies,
+  getSlaPolicy,
+  createSlaPolicy,
+  updateSlaPolicy,
+  deleteSlaPolicy
+};
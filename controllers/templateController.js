@@ -0,0 +1,113 @@
+const CategoryTemplate = require('../models/CategoryTemplate');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { z } = require('zod');
+
+const categoryEnum = z.enum(['hardware', 'software', 'network', 'printer', 'email', 'access', 'other']);
+
+// Validation schemas
+const customFieldSchema = z.object({
+  key: z.string().regex(/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/, 'Field keys must start with a letter and contain only letters, digits and underscores'),
+  label: z.string().min(1).max(100),
+  type: z.enum(CategoryTemplate.FIELD_TYPES),
+  required: z.boolean().optional(),
+  options: z.array(z.string().min(1).max(100)).optional(),
+  helpText: z.string().max(300).optional()
+}).refine(field => field.type !== 'select' || (field.options && field.options.length > 0), {
+  message: 'Select fields need at least one option'
+});
+
+const templateSchema = z.object({
+  fields: z.array(customFieldSchema).max(20).refine(
+    fields => new Set(fields.map(field => field.key)).size === fields.length,
+    { message: 'Field keys must be unique' }
+  ),
+  defaultRequiredSkills: z.array(z.string().min(2)).optional(),
+  isActive: z.boolean().optional()
+});
+
+// @desc    Get all category templates
+// @route   GET /api/category-templates
+// @access  Private
+const getTemplates = asyncHandler(async (req, res) => {
+  const templates = await CategoryTemplate.find()
+    .sort({ category: 1 });
+
+  res.json({
+    success: true,
+    data: templates
+  });
+});
+
+// @desc    Get template for a category
+// @route   GET /api/category-templates/:category
+// @access  Private
+const getTemplate = asyncHandler(async (req, res) => {
+  const category = categoryEnum.parse(req.params.category);
+  const template = await CategoryTemplate.findOne({ category });
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: 'No template defined for this category'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: template
+  });
+});
+
+// @desc    Create or replace template for a category
+// @route   PUT /api/category-templates/:category
+// @access  Private/Admin
+const saveTemplate = asyncHandler(async (req, res) => {
+  const category = categoryEnum.parse(req.params.category);
+  const validatedData = templateSchema.parse(req.body);
+
+  let template = await CategoryTemplate.findOne({ category });
+  const created = !template;
+
+  if (!template) {
+    template = new CategoryTemplate({ category });
+  }
+
+  template.set({
+    ...validatedData,
+    defaultRequiredSkills: validatedData.defaultRequiredSkills || [],
+    updatedBy: req.user._id
+  });
+  await template.save();
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    data: template
+  });
+});
+
+// @desc    Delete template for a category
+// @route   DELETE /api/category-templates/:category
+// @access  Private/Admin
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const category = categoryEnum.parse(req.params.category);
+  const template = await CategoryTemplate.findOneAndDelete({ category });
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: 'No template defined for this category'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Category template deleted successfully'
+  });
+});
+
+module.exports = {
+  getTemplates,
+  getTemplate,
+  saveTemplate,
+  deleteTemplate
+};
@@ -1,8 +1,23 @@
 const User = require('../models/User');
 const Issue = require('../models/Issue');
+const Mention = require('../models/Mention');
+const WorkLog = require('../models/WorkLog');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { paginate } = require('../utils/cursorPagination');
 const { z } = require('zod');
 
+// Fields user listings can be sorted by
+const USER_SORT_FIELDS = [
+  'firstName',
+  'lastName',
+  'department',
+  'createdAt',
+  'lastActive',
+  'rating.average',
+  'contributions.points',
+  'contributions.issuesResolved'
+];
+
 // Validation schemas
 const updateSkillsSchema = z.object({
   skills: z.array(z.object({
@@ -12,6 +27,10 @@ const updateSkillsSchema = z.object({
   }))
 });
 
+const departmentLeadSchema = z.object({
+  isDepartmentLead: z.boolean()
+});
+
 // @desc    Get all users with filtering
 // @route   GET /api/users
 // @access  Private
@@ -20,12 +39,20 @@ const getUsers = asyncHandler(async (req, res) => {
     department,
     skill,
     availability,
-    page = 1,
+    cursor,
     limit = 10,
+    count,
     sortBy = 'firstName',
     sortOrder = 'asc'
   } = req.query;
 
+  if (!USER_SORT_FIELDS.includes(sortBy)) {
+    return res.status(400).json({
+      success: false,
+      message: `sortBy must be one of: ${USER_SORT_FIELDS.join(', ')}`
+    });
+  }
+
   // Build filter object
   const filter = { isActive: true };
   if (department) filter.department = new RegExp(department, 'i');
@@ -36,26 +63,17 @@ const getUsers = asyncHandler(async (req, res) => {
   const sort = {};
   sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
-  // Pagination
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-
-  const users = await User.find(filter)
-    .select('-password')
-    .sort(sort)
-    .skip(skip)
-    .limit(parseInt(limit));
-
-  const total = await User.countDocuments(filter);
+  const { data, pagination } = await paginate(User, filter, sort, {
+    cursor,
+    limit,
+    withCount: count === 'true',
+    prepare: (userQuery) => userQuery.select('-password')
+  });
 
   res.json({
     success: true,
-    data: users,
-    pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      total,
-      pages: Math.ceil(total / parseInt(limit))
-    }
+    data,
+    pagination
   });
 });
 
@@ -82,7 +100,7 @@ const getUser = asyncHandler(async (req, res) => {
 // @route   GET /api/users/:id/issues
 // @access  Private
 const getUserIssues = asyncHandler(async (req, res) => {
-  const { type = 'posted', status, page = 1, limit = 10 } = req.query;
+  const { type = 'posted', status, cursor, limit = 10, count } = req.query;
 
   const filter = {};
   if (type === 'posted') {
@@ -95,26 +113,19 @@ const getUserIssues = asyncHandler(async (req, res) => {
 
   if (status) filter.status = status;
 
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-
-  const issues = await Issue.find(filter)
-    .populate('postedBy', 'firstName lastName employeeId department')
-    .populate('assignedTo', 'firstName lastName employeeId department')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(parseInt(limit));
-
-  const total = await Issue.countDocuments(filter);
+  const { data, pagination } = await paginate(Issue, filter, { createdAt: -1 }, {
+    cursor,
+    limit,
+    withCount: count === 'true',
+    prepare: (issueQuery) => issueQuery
+      .populate('postedBy', 'firstName lastName employeeId department')
+      .populate('assignedTo', 'firstName lastName employeeId department')
+  });
 
   res.json({
     success: true,
-    data: issues,
-    pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      total,
-      pages: Math.ceil(total / parseInt(limit))
-    }
+    data,
+    pagination
   });
 });
 
@@ -183,6 +194,30 @@ const verifyUserSkill = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Mark or unmark a user as their department's lead
+// @route   PUT /api/users/:id/department-lead
+// @access  Private/Admin
+const setDepartmentLead = asyncHandler(async (req, res) => {
+  const { isDepartmentLead } = departmentLeadSchema.parse(req.body);
+
+  const user = await User.findById(req.params.id).select('-password');
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  user.isDepartmentLead = isDepartmentLead;
+  await user.save();
+
+  res.json({
+    success: true,
+    data: user
+  });
+});
+
 // @desc    Get user statistics
 // @route   GET /api/users/:id/stats
 // @access  Private
@@ -208,11 +243,14 @@ const getUserStats = asyncHandler(async (req, res) => {
     status: { $in: ['open', 'assigned', 'in_progress'] }
   });
 
-  // Get average resolution time
-  const resolvedIssuesData = await Issue.find({ 'resolution.resolvedBy': userId });
+  // Get average resolution time (resolution.timeSpent is the time logged on the issue)
+  const resolvedIssuesData = await Issue.find({ 'resolution.resolvedBy': userId }).select('resolution.timeSpent');
   const totalResolutionTime = resolvedIssuesData.reduce((sum, issue) => sum + (issue.resolution.timeSpent || 0), 0);
   const avgResolutionTime = resolvedIssues > 0 ? totalResolutionTime / resolvedIssues : 0;
 
+  // Total time helped comes straight from the user's work logs
+  const [loggedTime] = await WorkLog.totalsByUser({ user: user._id });
+
   // Get recent activity
   const recentIssues = await Issue.find({
     $or: [{ postedBy: userId }, { assignedTo: userId }]
@@ -248,7 +286,7 @@ const getUserStats = asyncHandler(async (req, res) => {
         resolvedIssues,
         openIssues,
         avgResolutionTime: Math.round(avgResolutionTime),
-        totalTimeHelped: user.contributions.totalTimeHelped
+        totalTimeHelped: loggedTime ? loggedTime.minutes : 0
       },
       skills: skillStats,
       recentActivity: recentIssues
@@ -322,7 +360,7 @@ const getTopContributors = asyncHandler(async (req, res) => {
 // @route   GET /api/users/search/skills
 // @access  Private
 const searchUsersBySkills = asyncHandler(async (req, res) => {
-  const { skills, availability, department, page = 1, limit = 10 } = req.query;
+  const { skills, availability, department, cursor, limit = 10, count } = req.query;
 
   if (!skills) {
     return res.status(400).json({
@@ -339,19 +377,48 @@ const searchUsersBySkills = asyncHandler(async (req, res) => {
   if (department) filter.department = new RegExp(department, 'i');
   filter['skills.name'] = { $in: skillArray.map(skill => new RegExp(skill, 'i')) };
 
+  const { data, pagination } = await paginate(User, filter, {
+    'rating.average': -1,
+    'contributions.issuesResolved': -1
+  }, {
+    cursor,
+    limit,
+    withCount: count === 'true',
+    prepare: (userQuery) => userQuery.select('-password')
+  });
+
+  res.json({
+    success: true,
+    data,
+    pagination
+  });
+});
+
+// @desc    Get current user's mentions inbox
+// @route   GET /api/users/me/mentions
+// @access  Private
+const getMyMentions = asyncHandler(async (req, res) => {
+  const { unread, page = 1, limit = 20 } = req.query;
+
+  const filter = { user: req.user._id };
+  if (unread === 'true') filter.isRead = false;
+
   const skip = (parseInt(page) - 1) * parseInt(limit);
 
-  const users = await User.find(filter)
-    .select('-password')
-    .sort({ 'rating.average': -1, 'contributions.issuesResolved': -1 })
+  const mentions = await Mention.find(filter)
+    .populate('mentionedBy', 'firstName lastName employeeId')
+    .populate('issue', 'title status priority')
+    .sort({ createdAt: -1 })
     .skip(skip)
     .limit(parseInt(limit));
 
-  const total = await User.countDocuments(filter);
+  const total = await Mention.countDocuments(filter);
+  const unreadCount = await Mention.countDocuments({ user: req.user._id, isRead: false });
 
   res.json({
     success: true,
-    data: users,
+    data: mentions,
+    unreadCount,
     pagination: {
       page: parseInt(page),
       limit: parseInt(limit),
@@ -361,13 +428,39 @@ const searchUsersBySkills = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Mark mention as read
+// @route   PUT /api/users/me/mentions/:mentionId/read
+// @access  Private
+const markMentionRead = asyncHandler(async (req, res) => {
+  const mention = await Mention.findOneAndUpdate(
+    { _id: req.params.mentionId, user: req.user._id },
+    { isRead: true, readAt: new Date() },
+    { new: true }
+  );
+
+  if (!mention) {
+    return res.status(404).json({
+      success: false,
+      message: 'Mention not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: mention
+  });
+});
+
 module.exports = {
   getUsers,
   getUser,
   getUserIssues,
   updateUserSkills,
   verifyUserSkill,
+  setDepartmentLead,
   getUserStats,
   getTopContributors,
-  searchUsersBySkills
+  searchUsersBySkills,
+  getMyMentions,
+  markMentionRead
 }; 
\ No newline at end of file
@@ -0,0 +1,203 @@
+const SavedView = require('../models/SavedView');
+const User = require('../models/User');
+const viewCountService = require('../services/viewCountService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { FILTER_KEYS, SORT_FIELDS, isFilterKey } = require('../utils/issueQuery');
+const { MAX_VIEWS_PER_USER } = require('../config/views');
+const { z } = require('zod');
+
+// Validation schemas
+const viewSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  filters: z.record(z.string().min(1)).refine(
+    filters => Object.keys(filters).every(isFilterKey),
+    { message: `Filters may only use: ${FILTER_KEYS.join(', ')} or cf.<customField>` }
+  ).optional(),
+  sortBy: z.enum(SORT_FIELDS).optional(),
+  sortOrder: z.enum(['asc', 'desc']).optional(),
+  columns: z.array(z.string().trim().min(1)).max(20).optional(),
+  visibility: z.enum(['private', 'department']).optional()
+});
+
+const updateViewSchema = viewSchema.partial();
+
+const isOwner = (view, user) => view.owner.toString() === user._id.toString();
+
+// @desc    Get own and department-shared saved views
+// @route   GET /api/views
+// @access  Private
+const getViews = asyncHandler(async (req, res) => {
+  const views = await SavedView.accessibleBy(req.user)
+    .populate('owner', 'firstName lastName employeeId')
+    .sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: views,
+    defaultView: req.user.defaultView
+  });
+});
+
+// @desc    Get live issue counts for saved views
+// @route   GET /api/views/counts
+// @access  Private
+const getViewCounts = asyncHandler(async (req, res) => {
+  const counts = await viewCountService.countsFor(req.user);
+
+  res.json({
+    success: true,
+    data: counts
+  });
+});
+
+// @desc    Get single saved view
+// @route   GET /api/views/:id
+// @access  Private
+const getView = asyncHandler(async (req, res) => {
+  const view = await SavedView.findVisible(req.params.id, req.user);
+
+  if (!view) {
+    return res.status(404).json({
+      success: false,
+      message: 'View not found'
+    });
+  }
+
+  await view.populate('owner', 'firstName lastName employeeId');
+
+  res.json({
+    success: true,
+    data: view
+  });
+});
+
+// @desc    Create saved view
+// @route   POST /api/views
+// @access  Private
+const createView = asyncHandler(async (req, res) => {
+  const validatedData = viewSchema.parse(req.body);
+
+  const existing = await SavedView.countDocuments({ owner: req.user._id });
+  if (existing >= MAX_VIEWS_PER_USER) {
+    return res.status(400).json({
+      success: false,
+      message: `You can save at most ${MAX_VIEWS_PER_USER} views`
+    });
+  }
+
+  const view = new SavedView({
+    ...validatedData,
+    owner: req.user._id,
+    department: validatedData.visibility === 'department' ? req.user.department : null
+  });
+
+  // Reject filters the issue listing would refuse
+  view.buildFilter(req.user);
+  await view.save();
+
+  res.status(201).json({
+    success: true,
+    data: view
+  });
+});
+
+// @desc    Update own saved view
+// @route   PUT /api/views/:id
+// @access  Private
+const updateView = asyncHandler(async (req, res) => {
+  const validatedData = updateViewSchema.parse(req.body);
+
+  const view = await SavedView.findById(req.params.id);
+
+  if (!view || !isOwner(view, req.user)) {
+    return res.status(404).json({
+      success: false,
+      message: 'View not found'
+    });
+  }
+
+  const wasShared = view.visibility === 'department';
+  Object.assign(view, validatedData);
+  view.department = view.visibility === 'department' ? req.user.department : null;
+  view.buildFilter(req.user);
+  await view.save();
+
+  // Colleagues lose a view that is no longer shared
+  if (wasShared && view.visibility === 'private') {
+    await User.updateMany(
+      { defaultView: view._id, _id: { $ne: req.user._id } },
+      { defaultView: null }
+    );
+  }
+
+  res.json({
+    success: true,
+    data: view
+  });
+});
+
+// @desc    Delete own saved view
+// @route   DELETE /api/views/:id
+// @access  Private
+const deleteView = asyncHandler(async (req, res) => {
+  const view = await SavedView.findById(req.params.id);
+
+  if (!view || !isOwner(view, req.user)) {
+    return res.status(404).json({
+      success: false,
+      message: 'View not found'
+    });
+  }
+
+  await view.deleteOne();
+  await User.updateMany({ defaultView: view._id }, { defaultView: null });
+
+  res.json({
+    success: true,
+    message: 'View deleted successfully'
+  });
+});
+
+// @desc    Pin saved view as default
+// @route   PUT /api/views/:id/default
+// @access  Private
+const setDefaultView = asyncHandler(async (req, res) => {
+  const view = await SavedView.findVisible(req.params.id, req.user);
+
+  if (!view) {
+    return res.status(404).json({
+      success: false,
+      message: 'View not found'
+    });
+  }
+
+  await User.findByIdAndUpdate(req.user._id, { defaultView: view._id });
+
+  res.json({
+    success: true,
+    data: view
+  });
+});
+
+// @desc    Unpin default view
+// @route   DELETE /api/views/default
+// @access  Private
+const clearDefaultView = asyncHandler(async (req, res) => {
+  await User.findByIdAndUpdate(req.user._id, { defaultView: null });
+
+  res.json({
+    success: true,
+    message: 'Default view cleared'
+  });
+});
+
+module.exports = {
+  getViews,
+  getViewCounts,
+  getView,
+  createView,
+  updateView,
+  deleteView,
+  setDefaultView,
+  clearDefaultView
+};
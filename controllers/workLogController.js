@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const Issue = require('../models/Issue');
+const WorkLog = require('../models/WorkLog');
+const workLogService = require('../services/workLogService');
+const socketService = require('../services/socketService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { MAX_MANUAL_MINUTES } = require('../config/worklogs');
+const { z } = require('zod');
+
+// Validation schemas
+const timerSchema = z.object({
+  note: z.string().max(500).optional()
+});
+
+const manualEntrySchema = z.object({
+  minutes: z.number().int().positive().max(MAX_MANUAL_MINUTES),
+  startedAt: z.coerce.date().optional(),
+  note: z.string().max(500).optional()
+}).refine(data => !data.startedAt || data.startedAt <= new Date(), {
+  message: 'Work cannot be logged in the future'
+});
+
+const reportSchema = z.object({
+  groupBy: z.enum(['user', 'category']).default('user'),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  userId: z.string().refine(value => mongoose.isValidObjectId(value), { message: 'Invalid user id' }).optional(),
+  category: z.enum(['hardware', 'software', 'network', 'printer', 'email', 'access', 'other']).optional()
+});
+
+// Tell everyone following the issue that its logged time changed
+const notifyWorkLogChange = (issueId, event, entry) => {
+  socketService.notifyIssue(issueId, 'worklog:updated', {
+    issueId,
+    event,
+    entry,
+    timestamp: new Date()
+  });
+};
+
+// @desc    Start timer on issue
+// @route   POST /api/issues/:id/worklogs/start
+// @access  Private
+const startTimer = asyncHandler(async (req, res) => {
+  const { note } = timerSchema.parse(req.body);
+
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  const { timer, stopped } = await workLogService.startTimer(issue, req.user, note);
+
+  if (stopped) notifyWorkLogChange(stopped.issue, 'timer_stopped', stopped);
+  notifyWorkLogChange(issue._id, 'timer_started', timer);
+
+  res.status(201).json({
+    success: true,
+    data: timer,
+    stopped
+  });
+});
+
+// @desc    Stop own timer on issue
+// @route   POST /api/issues/:id/worklogs/stop
+// @access  Private
+const stopTimer = asyncHandler(async (req, res) => {
+  const { note } = timerSchema.parse(req.body);
+
+  const timer = await workLogService.stopTimer(req.params.id, req.user, note);
+  notifyWorkLogChange(timer.issue, 'timer_stopped', timer);
+
+  res.json({
+    success: true,
+    data: timer
+  });
+});
+
+// @desc    Add manual work log entry
+// @route   POST /api/issues/:id/worklogs
+// @access  Private
+const addWorkLog = asyncHandler(async (req, res) => {
+  const validatedData = manualEntrySchema.parse(req.body);
+
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+  }
+
+  const entry = await workLogService.addManual(issue, req.user, validatedData);
+  notifyWorkLogChange(issue._id, 'entry_added', entry);
+
+  res.status(201).json({
+    success: true,
+    data: entry
+  });
+});
+
+// @desc    Get work logs for issue with totals per helper
+// @route   GET /api/issues/:id/worklogs
+// @access  Private
+const getWorkLogs = asyncHandler(async (req, res) => {
+  const entries = await WorkLog.find({ issue: req.params.id })
+    .populate('user', 'firstName lastName employeeId')
+    .sort({ startedAt: -1 });
+
+  const stopped = entries.filter(entry => !entry.isRunning);
+
+  // Logs of deleted users still count towards the issue, just not under a user
+  const totals = {};
+  stopped.filter(entry => entry.user).forEach(entry => {
+    const userId = entry.user._id.toString();
+    totals[userId] = (totals[userId] || 0) + entry.minutes;
+  });
+
+  res.json({
+    success: true,
+    data: entries,
+    totals: {
+      minutes: stopped.reduce((sum, entry) => sum + entry.minutes, 0),
+      byUser: totals
+    }
+  });
+});
+
+// @desc    Delete own work log entry
+// @route   DELETE /api/issues/:id/worklogs/:logId
+// @access  Private
+const deleteWorkLog = asyncHandler(async (req, res) => {
+  const entry = await WorkLog.findOne({ _id: req.params.logId, issue: req.params.id });
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: 'Work log entry not found'
+    });
+  }
+
+  if (entry.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to delete this entry'
+    });
+  }
+
+  await workLogService.remove(entry);
+  notifyWorkLogChange(entry.issue, 'entry_removed', entry);
+
+  res.json({
+    success: true,
+    message: 'Work log entry deleted successfully'
+  });
+});
+
+// @desc    Get current user's running timer
+// @route   GET /api/worklogs/running
+// @access  Private
+const getRunningTimer = asyncHandler(async (req, res) => {
+  const timer = await WorkLog.findOne({ user: req.user._id, isRunning: true })
+    .populate('issue', 'title status priority');
+
+  res.json({
+    success: true,
+    data: timer
+  });
+});
+
+// @desc    Get logged time per user or per category
+// @route   GET /api/worklogs/report
+// @access  Private
+const getTimeReport = asyncHandler(async (req, res) => {
+  const params = reportSchema.parse(req.query);
+
+  const report = await workLogService.getReport(params);
+
+  res.json({
+    success: true,
+    data: report,
+    groupBy: params.groupBy
+  });
+});
+
+module.exports = {
+  startTimer,
+  stopTimer,
+  addWorkLog,
+  getWorkLogs,
+  deleteWorkLog,
+  getRunningTimer,
+  getTimeReport
+};
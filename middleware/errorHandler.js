@@ -34,6 +34,12 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 401 };
   }
 
+  // Multer upload errors
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message;
+    error = { message, statusCode: 400 };
+  }
+
   // Zod validation errors
   if (err.name === 'ZodError') {
     const message = err.errors.map(e => e.message).join(', ');
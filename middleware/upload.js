@@ -0,0 +1,22 @@
+const multer = require('multer');
+const ErrorResponse = require('../utils/errorResponse');
+const { MAX_FILE_SIZE, ALLOWED_MIME_TYPES } = require('../config/uploads');
+
+// Keep uploads in memory so the storage backend decides where they go
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new ErrorResponse(`File type ${file.mimetype} is not allowed`, 400));
+    }
+    cb(null, true);
+  }
+});
+
+module.exports = {
+  upload
+};
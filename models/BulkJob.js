@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const bulkJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['assign', 'priority', 'addTags', 'removeTags', 'close', 'delete']
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  issueIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue'
+  }],
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  succeeded: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  results: [{
+    _id: false,
+    issue: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Issue'
+    },
+    success: Boolean,
+    message: String
+  }],
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+bulkJobSchema.index({ user: 1, createdAt: -1 });
+
+// Virtual for progress percentage
+bulkJobSchema.virtual('progress').get(function() {
+  return this.total === 0 ? 100 : Math.round((this.processed / this.total) * 100);
+});
+
+bulkJobSchema.set('toJSON', { virtuals: true });
+bulkJobSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('BulkJob', bulkJobSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const FIELD_TYPES = ['text', 'number', 'boolean', 'date', 'select'];
+
+const customFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/, 'Field keys must start with a letter and contain only letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    enum: FIELD_TYPES,
+    required: true
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  options: [{
+    type: String, // allowed values for select fields
+    trim: true
+  }],
+  helpText: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  }
+}, { _id: false });
+
+const categoryTemplateSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: ['hardware', 'software', 'network', 'printer', 'email', 'access', 'other']
+  },
+  fields: [customFieldSchema],
+  defaultRequiredSkills: [{
+    type: String,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Field keys must be unique and select fields need options
+categoryTemplateSchema.pre('validate', function(next) {
+  const keys = this.fields.map(field => field.key);
+  if (new Set(keys).size !== keys.length) {
+    this.invalidate('fields', 'Field keys must be unique');
+  }
+
+  this.fields.forEach(field => {
+    if (field.type === 'select' && field.options.length === 0) {
+      this.invalidate('fields', `Select field "${field.key}" needs at least one option`);
+    }
+  });
+
+  next();
+});
+
+// Find the active template for a category, if any
+categoryTemplateSchema.statics.findForCategory = function(category) {
+  return this.findOne({ category, isActive: true });
+};
+
+categoryTemplateSchema.statics.FIELD_TYPES = FIELD_TYPES;
+
+module.exports = mongoose.model('CategoryTemplate', categoryTemplateSchema);
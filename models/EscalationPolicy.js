@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// What an escalation step does when its time comes
+const ESCALATION_ACTIONS = ['notify_helpers', 'notify_assignee', 'notify_department_lead', 'bump_priority'];
+
+const escalationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // unassigned: open with nobody on it; stalled: assigned with no comment or status change
+  trigger: {
+    type: String,
+    required: true,
+    enum: ['unassigned', 'stalled']
+  },
+  categories: [{
+    type: String, // empty applies to every category
+    enum: ['hardware', 'software', 'network', 'printer', 'email', 'access', 'other']
+  }],
+  priorities: [{
+    type: String, // empty applies to every priority
+    enum: ['low', 'medium', 'high', 'urgent']
+  }],
+  steps: [{
+    afterMinutes: {
+      type: Number, // time since the trigger started
+      required: true,
+      min: 1
+    },
+    action: {
+      type: String,
+      required: true,
+      enum: ESCALATION_ACTIONS
+    },
+    count: {
+      type: Number, // helpers to notify for notify_helpers
+      min: 1,
+      max: 10,
+      default: 3
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+escalationPolicySchema.index({ isActive: 1, trigger: 1 });
+
+// Keep steps in the order they fire
+escalationPolicySchema.pre('save', function(next) {
+  this.steps.sort((a, b) => a.afterMinutes - b.afterMinutes);
+  next();
+});
+
+// Method to check whether the policy covers an issue
+escalationPolicySchema.methods.appliesTo = function(issue) {
+  return (this.categories.length === 0 || this.categories.includes(issue.category)) &&
+    (this.priorities.length === 0 || this.priorities.includes(issue.priority));
+};
+
+escalationPolicySchema.statics.ESCALATION_ACTIONS = ESCALATION_ACTIONS;
+
+module.exports = mongoose.model('EscalationPolicy', escalationPolicySchema);
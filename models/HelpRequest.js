@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// An issue owner asking a specific helper to take their issue
+const helpRequestSchema = new mongoose.Schema({
+  issue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    required: true
+  },
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'expired', 'cancelled'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  responseNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  deliveredAt: {
+    type: Date,
+    default: null // when the recipient's socket last received the request
+  },
+  outcomeDeliveredAt: {
+    type: Date,
+    default: null // when the requester's socket received the answer or expiry
+  }
+}, {
+  timestamps: true
+});
+
+helpRequestSchema.index({ recipient: 1, status: 1, createdAt: -1 });
+helpRequestSchema.index({ requester: 1, status: 1, createdAt: -1 });
+helpRequestSchema.index({ status: 1, expiresAt: 1 });
+
+// One pending request per helper per issue
+helpRequestSchema.index(
+  { issue: 1, recipient: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Method to check whether the request can still be answered
+helpRequestSchema.methods.isOpen = function(now = new Date()) {
+  return this.status === 'pending' && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('HelpRequest', helpRequestSchema);
@@ -1,4 +1,46 @@
 const mongoose = require('mongoose');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Legal status transitions and who may perform each one.
+// Roles are resolved per issue: 'owner' (postedBy), 'assignee' (assignedTo),
+// 'admin' (user role) and 'system' (background jobs and automation).
+const STATUS_TRANSITIONS = {
+  open: {
+    assigned: ['owner', 'admin', 'system'],
+    resolved: ['owner', 'admin', 'system'],
+    closed: ['owner', 'admin', 'system']
+  },
+  assigned: {
+    open: ['owner', 'assignee', 'admin'],
+    assigned: ['owner', 'admin', 'system'],
+    in_progress: ['assignee', 'admin'],
+    resolved: ['owner', 'assignee', 'admin', 'system'],
+    closed: ['owner', 'admin', 'system']
+  },
+  in_progress: {
+    open: ['owner', 'assignee', 'admin'],
+    assigned: ['owner', 'assignee', 'admin'],
+    resolved: ['owner', 'assignee', 'admin', 'system'],
+    closed: ['owner', 'admin', 'system']
+  },
+  resolved: {
+    open: ['owner', 'admin'],
+    assigned: ['owner', 'admin'],
+    closed: ['owner', 'admin', 'system']
+  },
+  closed: {}
+};
+
+// Typed links between issues and the type recorded on the other side
+const LINK_INVERSES = {
+  duplicate_of: 'duplicated_by',
+  duplicated_by: 'duplicate_of',
+  blocks: 'blocked_by',
+  blocked_by: 'blocks',
+  related_to: 'related_to',
+  parent: 'child',
+  child: 'parent'
+};
 
 const issueSchema = new mongoose.Schema({
   title: {
@@ -75,6 +117,17 @@ const issueSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    mimeType: {
+      type: String
+    },
+    storage: {
+      type: String,
+      default: 'local'
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -91,10 +144,61 @@ const issueSchema = new mongoose.Schema({
       required: true,
       trim: true
     },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null // id of the comment this one replies to
+    },
+    mentions: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      token: {
+        type: String,
+        required: true
+      }
+    }],
     isSolution: {
       type: Boolean,
       default: false
     },
+    editHistory: [{
+      _id: false,
+      content: String,
+      editedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    editedAt: {
+      type: Date
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false
+    },
+    deletedAt: {
+      type: Date
+    },
+    reactions: [{
+      _id: false,
+      emoji: {
+        type: String,
+        required: true
+      },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      }
+    }],
+    mergedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Issue',
+      default: null // issue this comment was moved from by a merge
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -135,8 +239,49 @@ const issueSchema = new mongoose.Schema({
     pointsAwarded: {
       type: Number,
       default: 0
+    },
+    acceptedComment: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
     }
   },
+  resolutionHistory: [{
+    solution: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    solvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date,
+    solvedAt: Date,
+    timeSpent: Number,
+    pointsAwarded: Number,
+    acceptedComment: mongoose.Schema.Types.ObjectId,
+    reopenedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reopenReason: {
+      type: String,
+      trim: true
+    },
+    reopenedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  reopenCount: {
+    type: Number,
+    default: 0
+  },
+  kbArticle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KbArticle',
+    default: null
+  },
   tags: [{
     type: String,
     trim: true
@@ -149,6 +294,95 @@ const issueSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  watchers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  collaborators: [{
+    type: mongoose.Schema.Types.ObjectId, // helpers working alongside the assignee
+    ref: 'User'
+  }],
+  escalations: [{
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EscalationPolicy',
+      required: true
+    },
+    afterMinutes: {
+      type: Number, // the policy step that fired
+      required: true
+    },
+    trigger: {
+      type: String,
+      enum: ['unassigned', 'stalled']
+    },
+    action: {
+      type: String,
+      required: true
+    },
+    since: {
+      type: Date, // start of the idle period that triggered it
+      required: true
+    },
+    detail: mongoose.Schema.Types.Mixed,
+    triggeredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  autoAssignment: {
+    state: {
+      type: String,
+      // searching: picking the next helper, offered: waiting for their answer
+      enum: ['searching', 'offered', 'accepted', 'exhausted', 'cancelled', null],
+      default: null // null when auto-assignment was never requested
+    },
+    offeredTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    offeredAt: Date,
+    expiresAt: Date,
+    passed: [{
+      type: mongoose.Schema.Types.ObjectId, // helpers who declined or let an offer expire
+      ref: 'User'
+    }]
+  },
+  recurrence: {
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenanceSchedule'
+    },
+    occurrence: {
+      type: Date // the scheduled run that created this issue
+    }
+  },
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    default: null
+  },
+  links: [{
+    type: {
+      type: String,
+      enum: Object.keys(LINK_INVERSES),
+      required: true
+    },
+    issue: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Issue',
+      required: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isUrgent: {
     type: Boolean,
     default: false
@@ -156,7 +390,68 @@ const issueSchema = new mongoose.Schema({
   estimatedTime: {
     type: Number, // in minutes
     default: null
-  }
+  },
+  customFields: {
+    type: mongoose.Schema.Types.Mixed, // values for the category template's fields
+    default: {}
+  },
+  sla: {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlaPolicy',
+      default: null // null when the built-in defaults were applied
+    },
+    responseDueAt: {
+      type: Date
+    },
+    resolutionDueAt: {
+      type: Date
+    },
+    atRiskThreshold: {
+      type: Number,
+      default: 0.8
+    },
+    respondedAt: {
+      type: Date
+    },
+    state: {
+      type: String,
+      enum: ['on_track', 'at_risk', 'breached', 'met'],
+      default: 'on_track'
+    },
+    atRiskNotifiedAt: {
+      type: Date
+    },
+    breachedAt: {
+      type: Date
+    },
+    escalatedAt: {
+      type: Date
+    }
+  },
+  transitions: [{
+    from: {
+      type: String,
+      default: null
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null // null for system transitions
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -167,6 +462,37 @@ issueSchema.index({ postedBy: 1, status: 1 });
 issueSchema.index({ assignedTo: 1, status: 1 });
 issueSchema.index({ requiredSkills: 1, status: 1 });
 issueSchema.index({ category: 1, status: 1 });
+issueSchema.index({ watchers: 1, status: 1 });
+issueSchema.index({ 'sla.state': 1, 'sla.resolutionDueAt': 1 });
+issueSchema.index({ 'customFields.$**': 1 });
+issueSchema.index({ 'links.issue': 1 });
+issueSchema.index({ 'autoAssignment.state': 1, 'autoAssignment.expiresAt': 1 });
+
+// A schedule creates at most one issue per occurrence, even across restarts
+issueSchema.index(
+  { 'recurrence.schedule': 1, 'recurrence.occurrence': 1 },
+  { unique: true, partialFilterExpression: { 'recurrence.schedule': { $exists: true } } }
+);
+
+// Full-text search index, weighted towards titles and tags
+issueSchema.index({
+  title: 'text',
+  description: 'text',
+  tags: 'text',
+  requiredSkills: 'text',
+  'comments.content': 'text',
+  'resolution.solution': 'text'
+}, {
+  name: 'issue_text_search',
+  weights: {
+    title: 10,
+    tags: 6,
+    requiredSkills: 5,
+    'resolution.solution': 4,
+    description: 3,
+    'comments.content': 1
+  }
+});
 
 // Virtual for vote count
 issueSchema.virtual('voteCount').get(function() {
@@ -196,35 +522,396 @@ issueSchema.methods.addDownvote = function(userId) {
   return false;
 };
 
+// Record the initial status of new issues and subscribe the poster
+issueSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.addWatcher(this.postedBy);
+  }
+  if (this.isNew && this.transitions.length === 0) {
+    this.transitions.push({
+      from: null,
+      to: this.status,
+      actor: this.postedBy,
+      reason: 'Issue created'
+    });
+  }
+  next();
+});
+
+// Freeze the SLA outcome once the issue leaves the active statuses
+issueSchema.pre('save', function(next) {
+  if (this.isModified('status') && ['resolved', 'closed'].includes(this.status) && this.sla.resolutionDueAt) {
+    this.sla.state = this.getSlaState();
+  }
+  next();
+});
+
+// A parent issue can't be resolved while any of its sub-tasks are still open
+issueSchema.pre('save', async function() {
+  if (!this.isModified('status') || this.status !== 'resolved') return;
+
+  const childIds = this.getLinkedIds('child');
+  if (childIds.length === 0) return;
+
+  const openChildren = await this.constructor.countDocuments({
+    _id: { $in: childIds },
+    status: { $nin: ['resolved', 'closed'] }
+  });
+
+  if (openChildren > 0) {
+    throw new ErrorResponse(`Cannot resolve an issue with ${openChildren} open sub-task(s)`, 400);
+  }
+});
+
+// Method to compute response and resolution due dates from an SLA policy
+issueSchema.methods.applySla = function(policy) {
+  const start = this.createdAt || new Date();
+
+  this.sla.policy = policy._id || null;
+  this.sla.responseDueAt = new Date(start.getTime() + policy.responseTime * 60 * 1000);
+  this.sla.resolutionDueAt = new Date(start.getTime() + policy.resolutionTime * 60 * 1000);
+  this.sla.atRiskThreshold = policy.atRiskThreshold || 0.8;
+};
+
+// Method to evaluate the SLA state at a point in time
+issueSchema.methods.getSlaState = function(now = new Date()) {
+  if (!this.sla.resolutionDueAt) return null;
+  if (this.sla.breachedAt) return 'breached';
+
+  const isFinished = ['resolved', 'closed'].includes(this.status);
+  const end = isFinished
+    ? (this.resolution.resolvedAt || this.resolution.solvedAt || now)
+    : now;
+  const start = this.createdAt || end;
+
+  if (end > this.sla.resolutionDueAt) return 'breached';
+  if (!isFinished && !this.sla.respondedAt && end > this.sla.responseDueAt) return 'breached';
+  if (isFinished) return 'met';
+
+  const elapsedFraction = (dueAt) => (end - start) / Math.max(dueAt - start, 1);
+  const threshold = this.sla.atRiskThreshold || 0.8;
+
+  if (elapsedFraction(this.sla.resolutionDueAt) >= threshold) return 'at_risk';
+  if (!this.sla.respondedAt && elapsedFraction(this.sla.responseDueAt) >= threshold) return 'at_risk';
+
+  return 'on_track';
+};
+
+// Method to get the roles a user holds on this issue (null user = system)
+issueSchema.methods.getActorRoles = function(user) {
+  if (!user) return ['system'];
+
+  const userId = (user._id || user).toString();
+  const roles = [];
+  if (this.postedBy && (this.postedBy._id || this.postedBy).toString() === userId) roles.push('owner');
+  if (this.assignedTo && (this.assignedTo._id || this.assignedTo).toString() === userId) roles.push('assignee');
+  if (user.role === 'admin') roles.push('admin');
+  return roles;
+};
+
+// Method to check whether a user may move the issue to a status
+issueSchema.methods.canTransition = function(to, user) {
+  const allowedRoles = (STATUS_TRANSITIONS[this.status] || {})[to];
+  if (!allowedRoles) return false;
+  return this.getActorRoles(user).some(role => allowedRoles.includes(role));
+};
+
+// Method to get the statuses a user may move the issue to
+issueSchema.methods.getAllowedTransitions = function(user) {
+  return Object.keys(STATUS_TRANSITIONS[this.status] || {})
+    .filter(to => this.canTransition(to, user));
+};
+
+// Method to move the issue through the status state machine
+issueSchema.methods.transitionTo = function(to, user, reason) {
+  const allowedRoles = (STATUS_TRANSITIONS[this.status] || {})[to];
+
+  if (!allowedRoles) {
+    throw new ErrorResponse(`Cannot move issue from ${this.status} to ${to}`, 400);
+  }
+
+  if (!this.canTransition(to, user)) {
+    throw new ErrorResponse(`Not authorized to move issue from ${this.status} to ${to}`, 403);
+  }
+
+  this.transitions.push({
+    from: this.status,
+    to,
+    actor: user ? user._id || user : null,
+    reason
+  });
+  this.status = to;
+
+  // Any hands-on status counts as the first response for the SLA
+  if (!this.sla.respondedAt && ['assigned', 'in_progress', 'resolved'].includes(to)) {
+    this.sla.respondedAt = new Date();
+  }
+};
+
+// Method to assign issue to a helper
+issueSchema.methods.assignTo = function(helperId, user, reason) {
+  this.transitionTo('assigned', user, reason || 'Issue assigned');
+  this.assignedTo = helperId;
+  this.addWatcher(helperId);
+};
+
+// Method to release the current assignment back to the queue
+issueSchema.methods.unassign = function(user, reason) {
+  this.transitionTo('open', user, reason || 'Assignment released');
+  this.assignedTo = null;
+};
+
+// Method to get when the issue started waiting, for escalation policies.
+// Unassigned issues wait from when they were last opened, stalled ones from
+// their last comment or status change.
+issueSchema.methods.getIdleSince = function(trigger) {
+  if (trigger === 'unassigned') {
+    const opened = this.transitions.filter(transition => transition.to === 'open');
+    return opened.length > 0 ? opened[opened.length - 1].createdAt : this.createdAt;
+  }
+
+  const times = [
+    this.createdAt,
+    ...this.transitions.map(transition => transition.createdAt),
+    ...this.comments.filter(comment => !comment.isDeleted).map(comment => comment.createdAt)
+  ].filter(Boolean);
+
+  return new Date(Math.max(...times.map(time => time.getTime())));
+};
+
+// Method to check whether a policy step already fired for the current idle period
+issueSchema.methods.hasEscalated = function(policyId, step, since) {
+  return this.escalations.some(escalation =>
+    escalation.policy.equals(policyId) &&
+    escalation.afterMinutes === step.afterMinutes &&
+    escalation.action === step.action &&
+    escalation.since.getTime() === since.getTime());
+};
+
+// Method to subscribe a user to issue updates, returns true when newly added
+issueSchema.methods.addWatcher = function(userId) {
+  const id = (userId._id || userId).toString();
+  if (this.watchers.some(watcher => watcher.toString() === id)) return false;
+  this.watchers.push(id);
+  return true;
+};
+
+// Method to add a helper working alongside the assignee, returns true when newly added
+issueSchema.methods.addCollaborator = function(userId) {
+  const id = (userId._id || userId).toString();
+  if (this.collaborators.some(collaborator => collaborator.toString() === id)) return false;
+  this.collaborators.push(id);
+  this.addWatcher(id);
+  return true;
+};
+
+// Method to remove a collaborator, returns true when they were one
+issueSchema.methods.removeCollaborator = function(userId) {
+  const id = (userId._id || userId).toString();
+  const before = this.collaborators.length;
+  this.collaborators = this.collaborators.filter(collaborator => collaborator.toString() !== id);
+  return this.collaborators.length !== before;
+};
+
+// Method to check whether a user is working the issue, as assignee or collaborator
+issueSchema.methods.isWorkingOn = function(user) {
+  const id = (user._id || user).toString();
+  return (this.assignedTo && (this.assignedTo._id || this.assignedTo).toString() === id) ||
+    this.collaborators.some(collaborator => (collaborator._id || collaborator).toString() === id);
+};
+
+// Method to get the ids of issues linked with a given type
+issueSchema.methods.getLinkedIds = function(type) {
+  return this.links
+    .filter(link => link.type === type)
+    .map(link => link.issue._id || link.issue);
+};
+
+// Method to link another issue, returns true when newly added
+issueSchema.methods.addLink = function(type, issueId, userId) {
+  const id = (issueId._id || issueId).toString();
+  if (this.links.some(link => link.type === type && (link.issue._id || link.issue).toString() === id)) {
+    return false;
+  }
+  this.links.push({ type, issue: id, createdBy: userId });
+  return true;
+};
+
+// Method to remove a link to another issue, returns true when removed
+issueSchema.methods.removeLink = function(type, issueId) {
+  const id = (issueId._id || issueId).toString();
+  const before = this.links.length;
+  this.links = this.links.filter(link =>
+    !(link.type === type && (link.issue._id || link.issue).toString() === id));
+  return this.links.length !== before;
+};
+
+// Method to resolve this issue along with the master it duplicates
+issueSchema.methods.resolveAsDuplicate = function(master) {
+  this.transitionTo('resolved', null, `Resolved together with duplicate master ${master._id}`);
+  this.resolution.solution = master.resolution.solution;
+  this.resolution.resolvedAt = new Date();
+};
+
+// Method to fold another issue's comments, votes, labels, watchers and
+// attachments into this one. Safe to repeat: anything already present is skipped.
+issueSchema.methods.absorb = function(source) {
+  const commentIds = new Set(this.comments.map(comment => comment._id.toString()));
+  source.comments.forEach(comment => {
+    if (commentIds.has(comment._id.toString())) return;
+    this.comments.push({
+      ...comment.toObject(),
+      isSolution: false,
+      mergedFrom: comment.mergedFrom || source._id
+    });
+  });
+  this.comments.sort((a, b) => a.createdAt - b.createdAt);
+
+  // A voter counts once; their vote on this issue wins over the source's
+  source.upvotes.forEach(userId => this.addUpvote(userId));
+  source.downvotes.forEach(userId => this.addDownvote(userId));
+
+  this.tags = [...new Set([...this.tags, ...source.tags])];
+  this.requiredSkills = [...new Set([...this.requiredSkills, ...source.requiredSkills])];
+
+  source.watchers.forEach(userId => this.addWatcher(userId));
+
+  const paths = new Set(this.attachments.map(attachment => attachment.path));
+  source.attachments.forEach(attachment => {
+    if (!paths.has(attachment.path)) {
+      this.attachments.push(attachment.toObject());
+    }
+  });
+};
+
+// Method to close this issue as merged into another one
+issueSchema.methods.closeAsMerged = function(target) {
+  this.comments = [];
+  this.attachments = [];
+  this.mergedInto = target._id;
+  this.transitionTo('closed', null, `Merged into ${target._id}`);
+};
+
+// Method to unsubscribe a user, returns true when removed
+issueSchema.methods.removeWatcher = function(userId) {
+  const id = (userId._id || userId).toString();
+  const before = this.watchers.length;
+  this.watchers = this.watchers.filter(watcher => watcher.toString() !== id);
+  return this.watchers.length !== before;
+};
+
 // Method to resolve issue
 issueSchema.methods.resolve = function(resolvedBy, solution, timeSpent) {
-  this.status = 'resolved';
-  this.resolution.resolvedBy = resolvedBy;
+  this.transitionTo('resolved', resolvedBy, 'Resolved by helper');
+  this.resolution.resolvedBy = resolvedBy._id || resolvedBy;
   this.resolution.solution = solution;
   this.resolution.resolvedAt = new Date();
   this.resolution.timeSpent = timeSpent || 0;
 };
 
 // Method to mark issue as solved by owner
-issueSchema.methods.markAsSolved = function(solvedBy, solution, pointsAwarded = 0) {
-  this.status = 'resolved';
+issueSchema.methods.markAsSolved = function(owner, solvedBy, solution, pointsAwarded = 0) {
+  this.transitionTo('resolved', owner, 'Marked as solved by owner');
   this.resolution.solvedBy = solvedBy;
   this.resolution.solution = solution;
   this.resolution.solvedAt = new Date();
   this.resolution.pointsAwarded = pointsAwarded;
 };
 
-// Method to add comment
-issueSchema.methods.addComment = function(userId, content, isSolution = false) {
+// Method to get when the current resolution was recorded
+issueSchema.methods.getResolvedAt = function() {
+  return this.resolution.resolvedAt || this.resolution.solvedAt || null;
+};
+
+// Method to reopen a resolved issue, archiving the previous resolution
+issueSchema.methods.reopen = function(user, reason) {
+  this.transitionTo(this.assignedTo ? 'assigned' : 'open', user, reason);
+
+  const previous = this.toObject().resolution || {};
+  this.resolutionHistory.push({
+    solution: previous.solution,
+    resolvedBy: previous.resolvedBy,
+    solvedBy: previous.solvedBy,
+    resolvedAt: previous.resolvedAt,
+    solvedAt: previous.solvedAt,
+    timeSpent: previous.timeSpent,
+    pointsAwarded: previous.pointsAwarded,
+    acceptedComment: previous.acceptedComment,
+    reopenedBy: user ? user._id || user : null,
+    reopenReason: reason
+  });
+
+  this.resolution = { timeSpent: 0, pointsAwarded: 0, acceptedComment: null };
+  this.reopenCount += 1;
+
+  // The accepted answer no longer solves the issue
+  this.comments.forEach(comment => {
+    comment.isSolution = false;
+  });
+
+  return previous;
+};
+
+// Method to add comment, optionally as a reply to another comment
+issueSchema.methods.addComment = function(userId, content, parentId = null, mentions = []) {
   this.comments.push({
     user: userId,
     content,
-    isSolution
+    parent: parentId,
+    mentions
   });
+  this.addWatcher(userId);
+  return this.comments[this.comments.length - 1];
+};
+
+// Method to edit a comment, keeping the previous content in its history
+issueSchema.methods.editComment = function(comment, content) {
+  comment.editHistory.push({ content: comment.content });
+  comment.content = content;
+  comment.editedAt = new Date();
+};
+
+// Method to soft delete a comment (replies stay attached to the thread)
+issueSchema.methods.deleteComment = function(comment) {
+  comment.isDeleted = true;
+  comment.deletedAt = new Date();
+  comment.content = '[deleted]';
+  comment.editHistory = [];
+  comment.reactions = [];
+  comment.mentions = [];
+};
+
+// Method to toggle a user's emoji reaction, returns true when added
+issueSchema.methods.toggleReaction = function(comment, userId, emoji) {
+  const index = comment.reactions.findIndex(reaction =>
+    reaction.emoji === emoji && reaction.user.toString() === userId.toString()
+  );
+
+  if (index === -1) {
+    comment.reactions.push({ emoji, user: userId });
+    return true;
+  }
+
+  comment.reactions.splice(index, 1);
+  return false;
+};
+
+// Method for the owner to accept a comment as the solution
+issueSchema.methods.acceptSolution = function(owner, comment, pointsAwarded = 0) {
+  this.markAsSolved(owner, comment.user, comment.content, pointsAwarded);
+
+  this.comments.forEach(other => {
+    other.isSolution = false;
+  });
+  comment.isSolution = true;
+  this.resolution.acceptedComment = comment._id;
 };
 
 // Ensure virtual fields are serialized
 issueSchema.set('toJSON', { virtuals: true });
 issueSchema.set('toObject', { virtuals: true });
 
+issueSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+issueSchema.statics.LINK_INVERSES = LINK_INVERSES;
+
 module.exports = mongoose.model('Issue', issueSchema); 
\ No newline at end of file
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const ErrorResponse = require('../utils/errorResponse');
+
+const issueActivitySchema = new mongoose.Schema({
+  issue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'assign', 'status', 'comment', 'attachment', 'resolve', 'solve', 'reopen', 'vote', 'link', 'merge', 'escalate', 'delete']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null for system actions
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  meta: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+issueActivitySchema.index({ issue: 1, createdAt: -1 });
+
+// The log is append-only: block every update and delete path
+const rejectMutation = function(next) {
+  next(new ErrorResponse('Issue activity entries are append-only', 400));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+  issueActivitySchema.pre(op, rejectMutation);
+});
+
+issueActivitySchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+// Normalize values so ObjectIds, dates and subdocuments compare by content
+const normalize = (value) => {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+// Build the before/after list for the fields that actually changed
+issueActivitySchema.statics.diff = function(before, after, fields) {
+  return fields.reduce((changes, field) => {
+    const from = normalize(before[field]);
+    const to = normalize(after[field]);
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+    return changes;
+  }, []);
+};
+
+// Append an entry for an issue mutation
+issueActivitySchema.statics.record = function(issueId, action, actor, changes = [], meta) {
+  return this.create({
+    issue: issueId,
+    action,
+    actor: actor ? actor._id || actor : null,
+    changes,
+    meta
+  });
+};
+
+module.exports = mongoose.model('IssueActivity', issueActivitySchema);
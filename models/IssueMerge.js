@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const issueMergeSchema = new mongoose.Schema({
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    required: true
+  },
+  sources: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue'
+  }],
+  completedSources: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue'
+  }],
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+issueMergeSchema.index({ status: 1, createdAt: 1 });
+issueMergeSchema.index({ target: 1 });
+
+// Method to get the sources that still need to be merged
+issueMergeSchema.methods.getRemainingSources = function() {
+  const done = this.completedSources.map(id => id.toString());
+  return this.sources.filter(id => !done.includes(id.toString()));
+};
+
+module.exports = mongoose.model('IssueMerge', issueMergeSchema);
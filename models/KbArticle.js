@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+const CATEGORIES = ['hardware', 'software', 'network', 'printer', 'email', 'access', 'other'];
+
+const kbArticleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  steps: [{
+    type: String,
+    required: true,
+    trim: true
+  }],
+  categories: [{
+    type: String,
+    enum: CATEGORIES
+  }],
+  skills: [{
+    type: String,
+    trim: true
+  }],
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  sourceIssue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    default: null
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['published', 'archived'],
+    default: 'published'
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  versions: [{
+    version: {
+      type: Number,
+      required: true
+    },
+    title: String,
+    steps: [String],
+    categories: [String],
+    skills: [String],
+    tags: [String],
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changeNote: {
+      type: String,
+      trim: true
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  votes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    helpful: {
+      type: Boolean,
+      required: true
+    },
+    votedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+  notHelpfulCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+kbArticleSchema.index({ status: 1, categories: 1 });
+kbArticleSchema.index({ sourceIssue: 1 });
+kbArticleSchema.index({ title: 'text', steps: 'text', skills: 'text', tags: 'text' });
+
+// Method to snapshot the current content as a version entry
+kbArticleSchema.methods.snapshot = function(editedBy, changeNote) {
+  this.versions.push({
+    version: this.version,
+    title: this.title,
+    steps: this.steps,
+    categories: this.categories,
+    skills: this.skills,
+    tags: this.tags,
+    editedBy,
+    changeNote
+  });
+};
+
+// Method to apply an edit as a new version
+kbArticleSchema.methods.revise = function(updates, editedBy, changeNote) {
+  ['title', 'steps', 'categories', 'skills', 'tags'].forEach(field => {
+    if (updates[field] !== undefined) {
+      this[field] = updates[field];
+    }
+  });
+  this.version += 1;
+  this.snapshot(editedBy, changeNote);
+};
+
+// Method to record or change a user's helpfulness vote
+kbArticleSchema.methods.vote = function(userId, helpful) {
+  const existing = this.votes.find(vote => vote.user.toString() === userId.toString());
+
+  if (existing) {
+    existing.helpful = helpful;
+    existing.votedAt = new Date();
+  } else {
+    this.votes.push({ user: userId, helpful });
+  }
+
+  this.helpfulCount = this.votes.filter(vote => vote.helpful).length;
+  this.notHelpfulCount = this.votes.length - this.helpfulCount;
+};
+
+kbArticleSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.votes;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('KbArticle', kbArticleSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { isValidCron, nextCronRun } = require('../utils/cron');
+const { isValidTimeZone } = require('../utils/timezone');
+
+const maintenanceScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  cron: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: [isValidCron, 'Invalid cron expression']
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: [isValidTimeZone, 'Unknown time zone']
+  },
+  template: {
+    title: {
+      type: String, // "{date}" is replaced with the run date
+      required: true,
+      trim: true,
+      maxlength: 200
+    },
+    description: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    category: {
+      type: String,
+      required: true,
+      enum: ['hardware', 'software', 'network', 'printer', 'email', 'access', 'other']
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'urgent'],
+      default: 'medium'
+    },
+    requiredSkills: [{
+      type: String,
+      trim: true
+    }],
+    location: {
+      building: String,
+      floor: String,
+      room: String
+    },
+    tags: [{
+      type: String,
+      trim: true
+    }],
+    estimatedTime: {
+      type: Number, // in minutes
+      default: null
+    }
+  },
+  assignment: {
+    mode: {
+      type: String,
+      enum: ['none', 'fixed', 'rotation'],
+      default: 'none'
+    },
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    rotation: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+  isPaused: {
+    type: Boolean,
+    default: false
+  },
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastIssue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    default: null
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+maintenanceScheduleSchema.index({ isPaused: 1, nextRunAt: 1 });
+
+// Method to compute the next occurrence after a point in time
+maintenanceScheduleSchema.methods.computeNextRun = function(after = new Date()) {
+  return nextCronRun(this.cron, after, this.timezone);
+};
+
+// Method to pick the helper for a run: fixed assignee or the rotation's next member
+maintenanceScheduleSchema.methods.getAssigneeForRun = function(runNumber) {
+  if (this.assignment.mode === 'fixed') return this.assignment.assignee;
+  if (this.assignment.mode === 'rotation' && this.assignment.rotation.length > 0) {
+    return this.assignment.rotation[runNumber % this.assignment.rotation.length];
+  }
+  return null;
+};
+
+module.exports = mongoose.model('MaintenanceSchedule', maintenanceScheduleSchema);
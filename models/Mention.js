@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const mentionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mentionedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  issue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    required: true
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  token: {
+    type: String,
+    trim: true
+  },
+  excerpt: {
+    type: String,
+    trim: true
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+mentionSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+mentionSchema.index({ user: 1, comment: 1 }, { unique: true });
+
+module.exports = mongoose.model('Mention', mentionSchema);
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const { isValidTimeZone, getZonedParts, zonedTimeToDate } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HANDOFF_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Days since 1970-01-01 for a calendar date
+const toDayNumber = ({ year, month, day }) => Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+
+const fromDayNumber = (dayNumber) => {
+  const date = new Date(dayNumber * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const mod = (value, divisor) => ((value % divisor) + divisor) % divisor;
+
+const onCallScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  categories: [{
+    type: String,
+    enum: ['hardware', 'software', 'network', 'printer', 'email', 'access', 'other']
+  }],
+  department: {
+    type: String,
+    trim: true,
+    default: null // null covers every department
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: [isValidTimeZone, 'Unknown time zone']
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId, // on call in this order
+    ref: 'User'
+  }],
+  rotation: {
+    type: String,
+    enum: ['daily', 'weekly'],
+    default: 'weekly'
+  },
+  handoffTime: {
+    type: String, // local HH:MM when one member hands over to the next
+    default: '09:00',
+    match: [HANDOFF_TIME_PATTERN, 'Handoff time must be HH:MM']
+  },
+  handoffDay: {
+    type: Number, // weekday of weekly handoffs, 0 = Sunday
+    min: 0,
+    max: 6,
+    default: 1
+  },
+  rotationStart: {
+    type: Date, // the first member's shift contains this instant
+    default: Date.now
+  },
+  overrides: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    startsAt: {
+      type: Date,
+      required: true
+    },
+    endsAt: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+onCallScheduleSchema.index({ categories: 1, isActive: 1 });
+
+// Local day number on which the shift containing an instant started
+onCallScheduleSchema.methods.getShiftStartDay = function(at) {
+  const local = getZonedParts(at, this.timezone);
+  const [hour, minute] = this.handoffTime.split(':').map(Number);
+
+  let dayNumber = toDayNumber(local);
+  if (local.hour * 60 + local.minute < hour * 60 + minute) dayNumber -= 1;
+
+  if (this.rotation === 'weekly') {
+    // 1970-01-01 was a Thursday
+    const weekday = mod(dayNumber + 4, 7);
+    dayNumber -= mod(weekday - this.handoffDay, 7);
+  }
+
+  return dayNumber;
+};
+
+// Method to find the rotation shift containing an instant
+onCallScheduleSchema.methods.getShift = function(at = new Date()) {
+  if (this.members.length === 0) return null;
+
+  const length = this.rotation === 'weekly' ? 7 : 1;
+  const [hour, minute] = this.handoffTime.split(':').map(Number);
+
+  const startDay = this.getShiftStartDay(at);
+  const index = Math.floor((startDay - this.getShiftStartDay(this.rotationStart)) / length);
+
+  return {
+    user: this.members[mod(index, this.members.length)],
+    startsAt: zonedTimeToDate({ ...fromDayNumber(startDay), hour, minute }, this.timezone),
+    endsAt: zonedTimeToDate({ ...fromDayNumber(startDay + length), hour, minute }, this.timezone)
+  };
+};
+
+// Method to find the override covering an instant, the latest one winning
+onCallScheduleSchema.methods.getOverride = function(at = new Date()) {
+  const covering = this.overrides.filter(override => override.startsAt <= at && override.endsAt > at);
+  return covering.length > 0 ? covering[covering.length - 1] : null;
+};
+
+// Method to get who is on call at an instant and why
+onCallScheduleSchema.methods.getOnCall = function(at = new Date()) {
+  const override = this.getOverride(at);
+  if (override) {
+    return {
+      user: override.user,
+      source: 'override',
+      startsAt: override.startsAt,
+      endsAt: override.endsAt,
+      reason: override.reason
+    };
+  }
+
+  const shift = this.getShift(at);
+  return shift ? { ...shift, source: 'rotation' } : null;
+};
+
+// Find the active schedule for a category, preferring one for the department
+onCallScheduleSchema.statics.findForCategory = async function(category, department) {
+  const schedules = await this.find({
+    categories: category,
+    isActive: true,
+    department: { $in: [department || null, null] }
+  }).sort({ createdAt: 1 });
+
+  return schedules.find(schedule => department && schedule.department === department) ||
+    schedules.find(schedule => !schedule.department) ||
+    null;
+};
+
+onCallScheduleSchema.statics.HANDOFF_TIME_PATTERN = HANDOFF_TIME_PATTERN;
+
+module.exports = mongoose.model('OnCallSchedule', onCallScheduleSchema);
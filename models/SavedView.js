@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { buildIssueFilter } = require('../utils/issueQuery');
+
+// Filter value that stands for whoever is looking at the view
+const CURRENT_USER = 'me';
+
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  sortBy: {
+    type: String,
+    default: 'createdAt'
+  },
+  sortOrder: {
+    type: String,
+    enum: ['asc', 'desc'],
+    default: 'desc'
+  },
+  columns: [{
+    type: String,
+    trim: true
+  }],
+  visibility: {
+    type: String,
+    enum: ['private', 'department'],
+    default: 'private'
+  },
+  department: {
+    type: String,
+    trim: true,
+    default: null // set when shared with the owner's department
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+savedViewSchema.index({ owner: 1, name: 1 }, { unique: true });
+savedViewSchema.index({ visibility: 1, department: 1 });
+
+// Query for the views a user can see (their own plus their department's shared views)
+savedViewSchema.statics.accessibleBy = function(user) {
+  return this.find({
+    $or: [
+      { owner: user._id },
+      { visibility: 'department', department: user.department }
+    ]
+  });
+};
+
+// Find a view by id if the user can use it
+savedViewSchema.statics.findVisible = async function(id, user) {
+  const view = await this.findById(id);
+  return view && view.isVisibleTo(user) ? view : null;
+};
+
+// Method to check whether a user can use this view
+savedViewSchema.methods.isVisibleTo = function(user) {
+  return this.owner.toString() === user._id.toString() ||
+    (this.visibility === 'department' && this.department === user.department);
+};
+
+// Method to get the view's query parameters for a user, resolving "me"
+savedViewSchema.methods.toQuery = function(user) {
+  const query = {};
+  Object.entries(this.filters || {}).forEach(([key, value]) => {
+    query[key] = value === CURRENT_USER ? user._id.toString() : value;
+  });
+
+  return {
+    ...query,
+    sortBy: this.sortBy,
+    sortOrder: this.sortOrder
+  };
+};
+
+// Method to build the Mongo filter the view matches for a user
+savedViewSchema.methods.buildFilter = function(user) {
+  return buildIssueFilter(this.toQuery(user));
+};
+
+savedViewSchema.statics.CURRENT_USER = CURRENT_USER;
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
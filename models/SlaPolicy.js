@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Fallback targets (in minutes) used when no policy matches an issue
+const DEFAULT_SLA_TARGETS = {
+  urgent: { responseTime: 15, resolutionTime: 4 * 60 },
+  high: { responseTime: 60, resolutionTime: 8 * 60 },
+  medium: { responseTime: 4 * 60, resolutionTime: 24 * 60 },
+  low: { responseTime: 8 * 60, resolutionTime: 72 * 60 }
+};
+
+const slaPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  priority: {
+    type: String,
+    required: true,
+    enum: ['low', 'medium', 'high', 'urgent']
+  },
+  category: {
+    type: String,
+    enum: ['hardware', 'software', 'network', 'printer', 'email', 'access', 'other', null],
+    default: null // null applies to every category
+  },
+  responseTime: {
+    type: Number, // in minutes
+    required: true,
+    min: 1
+  },
+  resolutionTime: {
+    type: Number, // in minutes
+    required: true,
+    min: 1
+  },
+  atRiskThreshold: {
+    type: Number, // fraction of the target elapsed before an issue is at risk
+    default: 0.8,
+    min: 0.1,
+    max: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One policy per priority/category pair
+slaPolicySchema.index({ priority: 1, category: 1 }, { unique: true });
+
+// Find the most specific active policy for an issue, category match first
+slaPolicySchema.statics.findForIssue = async function(priority, category) {
+  const policies = await this.find({
+    priority,
+    category: { $in: [category, null] },
+    isActive: true
+  });
+
+  return policies.find(policy => policy.category === category) ||
+         policies.find(policy => policy.category === null) ||
+         null;
+};
+
+// Find the SLA targets for an issue, falling back to the built-in defaults
+slaPolicySchema.statics.resolveTargets = async function(priority, category) {
+  const policy = await this.findForIssue(priority, category);
+  return policy || DEFAULT_SLA_TARGETS[priority];
+};
+
+slaPolicySchema.statics.DEFAULT_SLA_TARGETS = DEFAULT_SLA_TARGETS;
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
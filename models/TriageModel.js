@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// The latest classifiers trained from historical issues
+const triageModelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'issues'
+  },
+  trainedAt: {
+    type: Date,
+    default: Date.now
+  },
+  sampleCount: {
+    type: Number,
+    default: 0
+  },
+  classifiers: {
+    category: mongoose.Schema.Types.Mixed,
+    priority: mongoose.Schema.Types.Mixed,
+    isUrgent: mongoose.Schema.Types.Mixed,
+    requiredSkills: mongoose.Schema.Types.Mixed
+  }
+}, {
+  minimize: false
+});
+
+module.exports = mongoose.model('TriageModel', triageModelSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const escapeRegex = require('../utils/escapeRegex');
 
 const userSchema = new mongoose.Schema({
   employeeId: {
@@ -40,6 +41,11 @@ const userSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   skills: [{
     name: {
       type: String,
@@ -91,10 +97,24 @@ const userSchema = new mongoose.Schema({
     enum: ['available', 'busy', 'unavailable'],
     default: 'available'
   },
+  isDepartmentLead: {
+    type: Boolean,
+    default: false // receives escalations for issues posted in their department
+  },
+  maxOpenAssignments: {
+    type: Number,
+    min: 0,
+    default: null // null uses AUTO_ASSIGN_DEFAULT_CAPACITY
+  },
   lastActive: {
     type: Date,
     default: Date.now
   },
+  defaultView: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedView',
+    default: null
+  },
   profilePicture: {
     type: String,
     default: null
@@ -201,4 +221,23 @@ userSchema.methods.calculateHelperScore = function(requiredSkills, category = 'o
   return baseScore * priorityMultiplier;
 };
 
+// Static to rank likely helpers for an issue, best first. Each result is the
+// user as a plain object with its helperScore.
+userSchema.statics.suggestHelpers = async function(issue, { limit = 10, exclude = [] } = {}) {
+  // Find users with matching skills (broad first-pass)
+  const potentialHelpers = await this.find({
+    _id: { $nin: exclude },
+    isActive: true,
+    'skills.name': { $in: issue.requiredSkills.map(skill => new RegExp(escapeRegex(skill), 'i')) }
+  }).select('-password');
+
+  return potentialHelpers
+    .map(helper => ({
+      ...helper.toObject(),
+      helperScore: helper.calculateHelperScore(issue.requiredSkills, issue.category, issue.priority)
+    }))
+    .sort((a, b) => b.helperScore - a.helperScore)
+    .slice(0, limit);
+};
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
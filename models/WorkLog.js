@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const workLogSchema = new mongoose.Schema({
+  issue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String, // copied from the issue for reporting
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  minutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isRunning: {
+    type: Boolean,
+    default: false
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+workLogSchema.index({ issue: 1, user: 1 });
+workLogSchema.index({ user: 1, startedAt: -1 });
+workLogSchema.index({ category: 1, startedAt: -1 });
+
+// One running timer per user
+workLogSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { isRunning: true } });
+
+// Method to stop a running timer, capping forgotten ones
+workLogSchema.methods.stop = function(maxMinutes, note, now = new Date()) {
+  const elapsed = Math.round((now - this.startedAt) / (60 * 1000));
+
+  this.minutes = Math.min(Math.max(elapsed, 0), maxMinutes);
+  this.endedAt = new Date(this.startedAt.getTime() + this.minutes * 60 * 1000);
+  this.isRunning = false;
+  if (note) this.note = note;
+};
+
+// Sum logged minutes per user for a filter
+workLogSchema.statics.totalsByUser = function(match) {
+  return this.aggregate([
+    { $match: { ...match, isRunning: false } },
+    { $group: { _id: '$user', minutes: { $sum: '$minutes' }, entries: { $sum: 1 } } }
+  ]);
+};
+
+module.exports = mongoose.model('WorkLog', workLogSchema);
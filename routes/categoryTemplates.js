@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getTemplates,
+  getTemplate,
+  saveTemplate,
+  deleteTemplate
+} = require('../controllers/templateController');
+const { protect, admin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected; everyone can read templates to build issue forms
+router.use(protect);
+
+router.get('/', getTemplates);
+
+router.route('/:category')
+  .get(getTemplate)
+  .put(admin, saveTemplate)
+  .delete(admin, deleteTemplate);
+
+module.exports = router;
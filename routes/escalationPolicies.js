@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getEscalationPolicies,
+  getEscalationPolicy,
+  createEscalationPolicy,
+  updateEscalationPolicy,
+  deleteEscalationPolicy
+} = require('../controllers/escalationPolicyController');
+const { protect, admin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(protect, admin);
+
+router.route('/')
+  .get(getEscalationPolicies)
+  .post(createEscalationPolicy);
+
+router.route('/:id')
+  .get(getEscalationPolicy)
+  .put(updateEscalationPolicy)
+  .delete(deleteEscalationPolicy);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  getHelpRequests,
+  getHelpRequest,
+  createHelpRequest,
+  acceptHelpRequest,
+  declineHelpRequest,
+  cancelHelpRequest
+} = require('../controllers/helpRequestController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.route('/')
+  .get(getHelpRequests)
+  .post(createHelpRequest);
+
+router.get('/:id', getHelpRequest);
+router.put('/:id/accept', acceptHelpRequest);
+router.put('/:id/decline', declineHelpRequest);
+router.put('/:id/cancel', cancelHelpRequest);
+
+module.exports = router;
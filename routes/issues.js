@@ -1,18 +1,59 @@
 const express = require('express');
 const {
   createIssue,
+  triageIssue,
+  checkDuplicates,
   getIssues,
+  searchIssues,
   getIssue,
   updateIssue,
   deleteIssue,
   getHelperSuggestions,
   assignIssue,
-  addComment,
+  autoAssignIssue,
+  updateIssueStatus,
+  getIssueTransitions,
+  getIssueActivity,
+  watchIssue,
+  unwatchIssue,
+  getIssueWatchers,
+  addCollaborator,
+  removeCollaborator,
   resolveIssue,
   markAsSolved,
+  reopenIssue,
   voteIssue
 } = require('../controllers/issueController');
+const {
+  bulkIssues,
+  getBulkJob
+} = require('../controllers/bulkController');
+const {
+  addComment,
+  editComment,
+  deleteComment,
+  reactToComment,
+  acceptSolution
+} = require('../controllers/commentController');
+const {
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const {
+  addLink,
+  removeLink
+} = require('../controllers/linkController');
+const { mergeIssues } = require('../controllers/mergeController');
+const {
+  startTimer,
+  stopTimer,
+  addWorkLog,
+  getWorkLogs,
+  deleteWorkLog
+} = require('../controllers/workLogController');
 const { protect } = require('../middleware/auth');
+const { upload } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -24,6 +65,19 @@ router.route('/')
   .post(createIssue)
   .get(getIssues);
 
+// Bulk operations
+router.post('/bulk', bulkIssues);
+router.get('/bulk/:jobId', getBulkJob);
+
+// Full-text search
+router.get('/search', searchIssues);
+
+// Duplicate detection for draft issues
+router.post('/check-duplicates', checkDuplicates);
+
+// Category, priority and skill suggestions for draft issues
+router.post('/triage', triageIssue);
+
 router.route('/:id')
   .get(getIssue)
   .put(updateIssue)
@@ -32,11 +86,54 @@ router.route('/:id')
 // Helper matching and assignment
 router.get('/:id/helpers', getHelperSuggestions);
 router.put('/:id/assign', assignIssue);
+router.post('/:id/auto-assign', autoAssignIssue);
+
+// Status lifecycle
+router.put('/:id/status', updateIssueStatus);
+router.get('/:id/transitions', getIssueTransitions);
+
+// Audit trail
+router.get('/:id/activity', getIssueActivity);
+
+// Watchers
+router.route('/:id/watch')
+  .post(watchIssue)
+  .delete(unwatchIssue);
+router.get('/:id/watchers', getIssueWatchers);
+
+// Helpers working alongside the assignee
+router.post('/:id/collaborators', addCollaborator);
+router.delete('/:id/collaborators/:userId', removeCollaborator);
 
 // Comments and resolution
 router.post('/:id/comments', addComment);
+router.route('/:id/comments/:commentId')
+  .put(editComment)
+  .delete(deleteComment);
+router.post('/:id/comments/:commentId/reactions', reactToComment);
+router.put('/:id/comments/:commentId/accept', acceptSolution);
 router.put('/:id/resolve', resolveIssue);
 router.put('/:id/solve', markAsSolved);
+router.put('/:id/reopen', reopenIssue);
+
+// Attachments
+router.post('/:id/attachments', upload.single('file'), uploadAttachment);
+router.route('/:id/attachments/:attachmentId')
+  .get(downloadAttachment)
+  .delete(deleteAttachment);
+
+// Work logs and timers
+router.route('/:id/worklogs')
+  .get(getWorkLogs)
+  .post(addWorkLog);
+router.post('/:id/worklogs/start', startTimer);
+router.post('/:id/worklogs/stop', stopTimer);
+router.delete('/:id/worklogs/:logId', deleteWorkLog);
+
+// Links to other issues
+router.post('/:id/links', addLink);
+router.delete('/:id/links/:linkId', removeLink);
+router.post('/:id/merge', mergeIssues);
 
 // Voting
 router.post('/:id/vote', voteIssue);
@@ -0,0 +1,36 @@
+const express = require('express');
+const {
+  getArticles,
+  getArticle,
+  createArticle,
+  updateArticle,
+  archiveArticle,
+  getArticleVersions,
+  voteArticle,
+  suggestArticles
+} = require('../controllers/kbController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Self-service suggestions for draft issues
+router.post('/suggest', suggestArticles);
+
+// Article CRUD operations
+router.route('/articles')
+  .get(getArticles)
+  .post(createArticle);
+
+router.route('/articles/:id')
+  .get(getArticle)
+  .put(updateArticle)
+  .delete(archiveArticle);
+
+// Versions and feedback
+router.get('/articles/:id/versions', getArticleVersions);
+router.post('/articles/:id/vote', voteArticle);
+
+module.exports = router;
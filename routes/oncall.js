@@ -0,0 +1,34 @@
+const express = require('express');
+const {
+  getOnCall,
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  addOverride,
+  removeOverride
+} = require('../controllers/onCallController');
+const { protect, admin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Schedule management (admin only), before the /:category lookup
+router.route('/schedules')
+  .get(admin, getSchedules)
+  .post(admin, createSchedule);
+
+router.route('/schedules/:id')
+  .get(admin, getSchedule)
+  .put(admin, updateSchedule)
+  .delete(admin, deleteSchedule);
+
+router.post('/schedules/:id/overrides', admin, addOverride);
+router.delete('/schedules/:id/overrides/:overrideId', admin, removeOverride);
+
+router.get('/:category', getOnCall);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule
+} = require('../controllers/scheduleController');
+const { protect, admin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(protect, admin);
+
+router.route('/')
+  .get(getSchedules)
+  .post(createSchedule);
+
+router.route('/:id')
+  .get(getSchedule)
+  .put(updateSchedule)
+  .delete(deleteSchedule);
+
+router.put('/:id/pause', pauseSchedule);
+router.put('/:id/resume', resumeSchedule);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getSlaPolicies,
+  getSlaPolicy,
+  createSlaPolicy,
+  updateSlaPolicy,
+  deleteSlaPolicy
+} = require('../controllers/slaController');
+const { protect, admin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(protect, admin);
+
+router.route('/')
+  .get(getSlaPolicies)
+  .post(createSlaPolicy);
+
+router.route('/:id')
+  .get(getSlaPolicy)
+  .put(updateSlaPolicy)
+  .delete(deleteSlaPolicy);
+
+module.exports = router;
@@ -5,11 +5,14 @@ const {
   getUserIssues,
   updateUserSkills,
   verifyUserSkill,
+  setDepartmentLead,
   getUserStats,
   getTopContributors,
-  searchUsersBySkills
+  searchUsersBySkills,
+  getMyMentions,
+  markMentionRead
 } = require('../controllers/userController');
-const { protect } = require('../middleware/auth');
+const { protect, admin } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -24,6 +27,10 @@ router.route('/')
 router.get('/top-contributors', getTopContributors);
 router.get('/search/skills', searchUsersBySkills);
 
+// Current user's mentions inbox
+router.get('/me/mentions', getMyMentions);
+router.put('/me/mentions/:mentionId/read', markMentionRead);
+
 // User issues
 router.get('/:id/issues', getUserIssues);
 
@@ -31,6 +38,9 @@ router.get('/:id/issues', getUserIssues);
 router.put('/:id/skills', updateUserSkills);
 router.put('/:id/skills/:skillName/verify', verifyUserSkill);
 
+// Escalation recipients
+router.put('/:id/department-lead', admin, setDepartmentLead);
+
 // Statistics and analytics
 router.get('/:id/stats', getUserStats);
 
@@ -0,0 +1,34 @@
+const express = require('express');
+const {
+  getViews,
+  getViewCounts,
+  getView,
+  createView,
+  updateView,
+  deleteView,
+  setDefaultView,
+  clearDefaultView
+} = require('../controllers/viewController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.route('/')
+  .get(getViews)
+  .post(createView);
+
+// Live counts and default pin (before /:id)
+router.get('/counts', getViewCounts);
+router.delete('/default', clearDefaultView);
+
+router.route('/:id')
+  .get(getView)
+  .put(updateView)
+  .delete(deleteView);
+
+router.put('/:id/default', setDefaultView);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const {
+  getRunningTimer,
+  getTimeReport
+} = require('../controllers/workLogController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/running', getRunningTimer);
+router.get('/report', getTimeReport);
+
+module.exports = router;
@@ -15,10 +15,30 @@ const { errorHandler } = require("./middleware/errorHandler");
 const authRoutes = require("./routes/auth");
 const issueRoutes = require("./routes/issues");
 const userRoutes = require("./routes/users");
+const slaPolicyRoutes = require("./routes/slaPolicies");
+const kbRoutes = require("./routes/kb");
+const viewRoutes = require("./routes/views");
+const categoryTemplateRoutes = require("./routes/categoryTemplates");
+const workLogRoutes = require("./routes/workLogs");
+const scheduleRoutes = require("./routes/schedules");
+const helpRequestRoutes = require("./routes/helpRequests");
+const onCallRoutes = require("./routes/oncall");
+const escalationPolicyRoutes = require("./routes/escalationPolicies");
 
 // Import Socket.io service
 const socketService = require("./services/socketService");
 
+// Import background services
+const slaService = require("./services/slaService");
+const lifecycleService = require("./services/lifecycleService");
+const viewCountService = require("./services/viewCountService");
+const mergeService = require("./services/mergeService");
+const bulkService = require("./services/bulkService");
+const scheduleService = require("./services/scheduleService");
+const autoAssignService = require("./services/autoAssignService");
+const helpRequestService = require("./services/helpRequestService");
+const escalationService = require("./services/escalationService");
+
 const app = express();
 const server = http.createServer(app);
 
@@ -86,6 +106,15 @@ app.get("/health", (req, res) => {
 app.use("/api/auth", authRoutes);
 app.use("/api/issues", issueRoutes);
 app.use("/api/users", userRoutes);
+app.use("/api/sla-policies", slaPolicyRoutes);
+app.use("/api/kb", kbRoutes);
+app.use("/api/views", viewRoutes);
+app.use("/api/category-templates", categoryTemplateRoutes);
+app.use("/api/worklogs", workLogRoutes);
+app.use("/api/schedules", scheduleRoutes);
+app.use("/api/help-requests", helpRequestRoutes);
+app.use("/api/oncall", onCallRoutes);
+app.use("/api/escalation-policies", escalationPolicyRoutes);
 
 // 404 handler
 app.use("*", (req, res) => {
@@ -117,5 +146,29 @@ server.listen(PORT, () => {
   console.log(` Environment: development`);
   console.log(` Health check: http://localhost:${PORT}/health`);
   console.log(` Socket.io initialized`);
+
+  // Start background SLA checker, auto-close sweep, view counts, maintenance scheduler, offer expiry sweeps and escalation checker
+  slaService.start();
+  lifecycleService.start();
+  viewCountService.start();
+  scheduleService.start();
+  autoAssignService.start();
+  helpRequestService.start();
+  escalationService.start();
+
+  // Finish merges interrupted by a restart
+  mergeService.resumePending().catch((error) => {
+    console.error("Error resuming issue merges:", error);
+  });
+
+  // Run bulk jobs queued before a restart and fail the ones cut off mid-run
+  bulkService.resumePending().catch((error) => {
+    console.error("Error resuming bulk jobs:", error);
+  });
+
+  // Re-arm auto-assignment offers interrupted by a restart
+  autoAssignService.resumePending().catch((error) => {
+    console.error("Error resuming auto-assignment:", error);
+  });
 });
 
@@ -0,0 +1,39 @@
+const User = require('../models/User');
+const IssueActivity = require('../models/IssueActivity');
+const socketService = require('./socketService');
+const ErrorResponse = require('../utils/errorResponse');
+
+class AssignmentService {
+  /**
+   * Assign an issue to a helper on behalf of an actor, checking the state
+   * machine, and record it. Every assignment path goes through here.
+   *
+   * @param {Object} issue - issue document
+   * @param {string|Object} helperId - user to assign
+   * @param {Object|null} actor - user acting, null for the system
+   * @param {Object} options - { reason, meta } for the transition and activity entry
+   * @returns {Promise<Object>} the saved issue
+   */
+  async assign(issue, helperId, actor, { reason, meta } = {}) {
+    if (!issue.canTransition('assigned', actor)) {
+      throw new ErrorResponse(`Not authorized to assign this issue while it is ${issue.status}`, 403);
+    }
+
+    const helper = await User.findById(helperId);
+    if (!helper) {
+      throw new ErrorResponse('Helper not found', 404);
+    }
+
+    const before = issue.toObject();
+    issue.assignTo(helper._id, actor, reason);
+    await issue.save();
+    socketService.joinIssueRoom(helper._id.toString(), issue._id);
+
+    await IssueActivity.record(issue._id, 'assign', actor,
+      IssueActivity.diff(before, issue.toObject(), ['status', 'assignedTo']), meta);
+
+    return issue;
+  }
+}
+
+module.exports = new AssignmentService();
@@ -0,0 +1,345 @@
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const socketService = require('./socketService');
+const assignmentService = require('./assignmentService');
+const ErrorResponse = require('../utils/errorResponse');
+const escapeRegex = require('../utils/escapeRegex');
+const {
+  AUTO_ASSIGN_OFFER_TIMEOUT_MS,
+  AUTO_ASSIGN_DEFAULT_CAPACITY,
+  AUTO_ASSIGN_WORKLOAD_WEIGHT,
+  AUTO_ASSIGN_MAX_OFFERS,
+  AUTO_ASSIGN_SWEEP_INTERVAL_MS
+} = require('../config/assignment');
+
+// Statuses that count towards a helper's workload
+const OPEN_ASSIGNMENT_STATUSES = ['assigned', 'in_progress'];
+
+// Auto-assignment offers an issue to one helper at a time. Every state change
+// is a conditional update on the issue, so an answer racing a timeout (or two
+// servers sweeping at once) is applied only once.
+class AutoAssignService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.offerTimers = new Map(); // issueId -> timeout for the current offer
+  }
+
+  start(intervalMs = AUTO_ASSIGN_SWEEP_INTERVAL_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.expireOffers();
+    }, intervalMs);
+
+    // Don't keep the process alive just for the sweep
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.offerTimers.forEach(timeout => clearTimeout(timeout));
+    this.offerTimers.clear();
+  }
+
+  // Open assignments per helper
+  async getWorkloads(userIds) {
+    const rows = await Issue.aggregate([
+      { $match: { assignedTo: { $in: userIds }, status: { $in: OPEN_ASSIGNMENT_STATUSES } } },
+      { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(rows.map(row => [row._id.toString(), row.count]));
+  }
+
+  /**
+   * Rank available helpers for an issue, best first. Scores from
+   * calculateHelperScore are lowered by how full each helper's plate is and
+   * helpers at capacity are left out.
+   *
+   * @param {Object} issue - issue to place
+   * @returns {Promise<Array<{user: Object, score: number, openAssignments: number, capacity: number}>>}
+   */
+  async rankCandidates(issue) {
+    const excluded = [issue.postedBy, ...issue.autoAssignment.passed];
+
+    const users = await User.find({
+      _id: { $nin: excluded },
+      isActive: true,
+      availability: 'available',
+      'skills.name': { $in: issue.requiredSkills.map(skill => new RegExp(escapeRegex(skill), 'i')) }
+    }).select('-password');
+
+    const workloads = await this.getWorkloads(users.map(user => user._id));
+
+    return users
+      .map(user => {
+        const capacity = user.maxOpenAssignments ?? AUTO_ASSIGN_DEFAULT_CAPACITY;
+        const openAssignments = workloads.get(user._id.toString()) || 0;
+        const load = capacity > 0 ? openAssignments / capacity : 1;
+        const score = user.calculateHelperScore(issue.requiredSkills, issue.category, issue.priority) *
+          (1 - AUTO_ASSIGN_WORKLOAD_WEIGHT * load);
+
+        return { user, score, openAssignments, capacity };
+      })
+      .filter(candidate => candidate.openAssignments < candidate.capacity)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  notifyState(issue) {
+    socketService.notifyIssue(issue._id, 'assignment:updated', {
+      issueId: issue._id,
+      state: issue.autoAssignment.state,
+      offeredTo: issue.autoAssignment.offeredTo,
+      expiresAt: issue.autoAssignment.expiresAt,
+      timestamp: new Date()
+    });
+  }
+
+  sendOffer(issue) {
+    socketService.notifyUser(issue.autoAssignment.offeredTo.toString(), 'assignment:offer', {
+      issueId: issue._id,
+      title: issue.title,
+      category: issue.category,
+      priority: issue.priority,
+      requiredSkills: issue.requiredSkills,
+      expiresAt: issue.autoAssignment.expiresAt,
+      timestamp: new Date()
+    });
+  }
+
+  clearOfferTimer(issueId) {
+    const key = issueId.toString();
+    if (this.offerTimers.has(key)) {
+      clearTimeout(this.offerTimers.get(key));
+      this.offerTimers.delete(key);
+    }
+  }
+
+  // Start looking for a helper for an open issue
+  async begin(issue) {
+    if (issue.status !== 'open') {
+      throw new ErrorResponse('Only open issues can be auto-assigned', 400);
+    }
+
+    const started = await Issue.findOneAndUpdate(
+      { _id: issue._id, status: 'open', 'autoAssignment.state': { $nin: ['searching', 'offered'] } },
+      {
+        $set: {
+          'autoAssignment.state': 'searching',
+          'autoAssignment.offeredTo': null,
+          'autoAssignment.passed': []
+        }
+      },
+      { new: true }
+    );
+
+    if (!started) {
+      throw new ErrorResponse('Auto-assignment is already running for this issue', 409);
+    }
+
+    return this.offerNext(started);
+  }
+
+  // Offer the issue to the best remaining helper, or give up
+  async offerNext(issue) {
+    let update;
+
+    if (issue.status !== 'open') {
+      update = { 'autoAssignment.state': 'cancelled' };
+    } else if (issue.autoAssignment.passed.length >= AUTO_ASSIGN_MAX_OFFERS) {
+      update = { 'autoAssignment.state': 'exhausted' };
+    } else {
+      const [best] = await this.rankCandidates(issue);
+      const now = new Date();
+
+      update = best
+        ? {
+          'autoAssignment.state': 'offered',
+          'autoAssignment.offeredTo': best.user._id,
+          'autoAssignment.offeredAt': now,
+          'autoAssignment.expiresAt': new Date(now.getTime() + AUTO_ASSIGN_OFFER_TIMEOUT_MS)
+        }
+        : { 'autoAssignment.state': 'exhausted' };
+    }
+
+    const updated = await Issue.findOneAndUpdate(
+      { _id: issue._id, 'autoAssignment.state': 'searching' },
+      { $set: update },
+      { new: true }
+    );
+    if (!updated) return issue;
+
+    if (updated.autoAssignment.state === 'offered') {
+      this.sendOffer(updated);
+      this.scheduleExpiry(updated);
+    }
+    this.notifyState(updated);
+
+    return updated;
+  }
+
+  scheduleExpiry(issue) {
+    const { offeredTo, expiresAt } = issue.autoAssignment;
+    const delay = Math.max(0, expiresAt.getTime() - Date.now());
+
+    this.clearOfferTimer(issue._id);
+    const timeout = setTimeout(() => {
+      this.offerTimers.delete(issue._id.toString());
+      this.expire(issue._id, offeredTo).catch(error => {
+        console.error(`Error expiring assignment offer for issue ${issue._id}:`, error);
+      });
+    }, delay);
+
+    if (timeout.unref) timeout.unref();
+    this.offerTimers.set(issue._id.toString(), timeout);
+  }
+
+  // Move past a helper who declined or didn't answer in time
+  async pass(filter, userId) {
+    const issue = await Issue.findOneAndUpdate(
+      filter,
+      {
+        $set: { 'autoAssignment.state': 'searching', 'autoAssignment.offeredTo': null },
+        $addToSet: { 'autoAssignment.passed': userId }
+      },
+      { new: true }
+    );
+    if (!issue) return null;
+
+    this.clearOfferTimer(issue._id);
+    return this.offerNext(issue);
+  }
+
+  async expire(issueId, userId, now = new Date()) {
+    const issue = await this.pass({
+      _id: issueId,
+      'autoAssignment.state': 'offered',
+      'autoAssignment.offeredTo': userId,
+      'autoAssignment.expiresAt': { $lte: now }
+    }, userId);
+
+    if (issue) {
+      socketService.notifyUser(userId.toString(), 'assignment:expired', {
+        issueId,
+        timestamp: new Date()
+      });
+    }
+
+    return issue;
+  }
+
+  // Answer an offer. Accepting assigns the issue to the helper.
+  async respond(issueId, user, accepted) {
+    const offer = {
+      _id: issueId,
+      'autoAssignment.state': 'offered',
+      'autoAssignment.offeredTo': user._id,
+      'autoAssignment.expiresAt': { $gt: new Date() }
+    };
+
+    if (!accepted) {
+      const issue = await this.pass(offer, user._id);
+      if (!issue) {
+        throw new ErrorResponse('This offer is no longer available', 409);
+      }
+      return issue;
+    }
+
+    const issue = await Issue.findOneAndUpdate(
+      offer,
+      { $set: { 'autoAssignment.state': 'accepted' } },
+      { new: true }
+    );
+    if (!issue) {
+      throw new ErrorResponse('This offer is no longer available', 409);
+    }
+    this.clearOfferTimer(issue._id);
+
+    // Someone assigned or closed it by hand in the meantime
+    if (issue.status !== 'open') {
+      issue.autoAssignment.state = 'cancelled';
+      await issue.save();
+      this.notifyState(issue);
+      throw new ErrorResponse('This issue is no longer open', 409);
+    }
+
+    await assignmentService.assign(issue, user._id, null, {
+      reason: 'Auto-assigned',
+      meta: { autoAssign: true }
+    });
+
+    this.notifyState(issue);
+    socketService.notifyUser(user._id.toString(), 'issue:assigned', {
+      issueId: issue._id,
+      title: issue.title,
+      assignedBy: null,
+      timestamp: new Date()
+    });
+
+    return issue;
+  }
+
+  // Re-send offers a helper missed while offline
+  async deliverPendingOffers(userId) {
+    const issues = await Issue.find({
+      'autoAssignment.state': 'offered',
+      'autoAssignment.offeredTo': userId,
+      'autoAssignment.expiresAt': { $gt: new Date() }
+    });
+
+    issues.forEach(issue => this.sendOffer(issue));
+  }
+
+  // Expire offers whose timers were lost, e.g. to a restart
+  async expireOffers(now = new Date()) {
+    if (this.running) return 0;
+    this.running = true;
+
+    let expired = 0;
+    try {
+      const issues = await Issue.find({
+        'autoAssignment.state': 'offered',
+        'autoAssignment.expiresAt': { $lte: now }
+      }).select('autoAssignment');
+
+      for (const issue of issues) {
+        try {
+          if (await this.expire(issue._id, issue.autoAssignment.offeredTo, now)) expired += 1;
+        } catch (error) {
+          console.error(`Error expiring assignment offer for issue ${issue._id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error sweeping assignment offers:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return expired;
+  }
+
+  // Pick up searches interrupted by a restart and re-arm live offer timers
+  async resumePending() {
+    const issues = await Issue.find({ 'autoAssignment.state': { $in: ['searching', 'offered'] } });
+
+    for (const issue of issues) {
+      try {
+        if (issue.autoAssignment.state === 'searching') {
+          await this.offerNext(issue);
+        } else {
+          this.scheduleExpiry(issue);
+        }
+      } catch (error) {
+        console.error(`Error resuming auto-assignment for issue ${issue._id}:`, error);
+      }
+    }
+
+    return issues.length;
+  }
+}
+
+module.exports = new AutoAssignService();
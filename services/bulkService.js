@@ -0,0 +1,268 @@
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const IssueActivity = require('../models/IssueActivity');
+const SlaPolicy = require('../models/SlaPolicy');
+const BulkJob = require('../models/BulkJob');
+const socketService = require('./socketService');
+const assignmentService = require('./assignmentService');
+const onCallService = require('./onCallService');
+const relationshipService = require('./relationshipService');
+const mentionService = require('./mentionService');
+const workLogService = require('./workLogService');
+const { getStorage } = require('./storage');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Batches above this size run as a tracked background job
+const BULK_SYNC_LIMIT = 50;
+const BULK_MAX_ITEMS = 1000;
+
+// Save job progress every N issues
+const PROGRESS_SAVE_INTERVAL = 10;
+
+class BulkService {
+  constructor() {
+    this.syncLimit = BULK_SYNC_LIMIT;
+    this.maxItems = BULK_MAX_ITEMS;
+  }
+
+  // Field edits follow the same rules as PUT /api/issues/:id (owner or admin, still active)
+  assertCanEdit(issue, user) {
+    const roles = issue.getActorRoles(user);
+    if (!roles.includes('owner') && !roles.includes('admin')) {
+      throw new ErrorResponse('Not authorized to update this issue', 403);
+    }
+    if (issue.status === 'resolved' || issue.status === 'closed') {
+      throw new ErrorResponse('Cannot update resolved or closed issues', 400);
+    }
+  }
+
+  async applyAction(issueId, action, params, user) {
+    const issue = await Issue.findById(issueId);
+
+    if (!issue) {
+      throw new ErrorResponse('Issue not found', 404);
+    }
+
+    const before = issue.toObject();
+
+    switch (action) {
+      case 'assign': {
+        await assignmentService.assign(issue, params.assignedTo, user, {
+          reason: params.reason || 'Bulk assignment',
+          meta: { bulk: true }
+        });
+        break;
+      }
+
+      case 'priority': {
+        this.assertCanEdit(issue, user);
+        if (issue.priority === params.priority) return 'Priority unchanged';
+
+        issue.priority = params.priority;
+        issue.applySla(await SlaPolicy.resolveTargets(issue.priority, issue.category));
+        await issue.save();
+
+        await IssueActivity.record(issue._id, 'update', user,
+          IssueActivity.diff(before, issue.toObject(), ['priority']), { bulk: true });
+
+        if (!onCallService.isUrgent(before) && onCallService.isUrgent(issue)) {
+          await this.pageOnCall(issue);
+        }
+        break;
+      }
+
+      case 'addTags':
+      case 'removeTags': {
+        this.assertCanEdit(issue, user);
+
+        const tags = params.tags.map(tag => tag.trim()).filter(Boolean);
+        issue.tags = action === 'addTags'
+          ? Array.from(new Set([...issue.tags, ...tags]))
+          : issue.tags.filter(tag => !tags.includes(tag));
+
+        const changes = IssueActivity.diff(before, issue.toObject(), ['tags']);
+        if (changes.length === 0) return 'Tags unchanged';
+
+        await issue.save();
+        await IssueActivity.record(issue._id, 'update', user, changes, { bulk: true });
+        break;
+      }
+
+      case 'close': {
+        issue.transitionTo('closed', user, params.reason || 'Bulk close');
+        await issue.save();
+
+        await IssueActivity.record(issue._id, 'status', user,
+          IssueActivity.diff(before, issue.toObject(), ['status']), { bulk: true });
+        break;
+      }
+
+      case 'delete': {
+        const roles = issue.getActorRoles(user);
+        if (!roles.includes('owner') && !roles.includes('admin')) {
+          throw new ErrorResponse('Not authorized to delete this issue', 403);
+        }
+
+        await issue.deleteOne();
+
+        await Promise.all(issue.attachments.map(attachment =>
+          getStorage(attachment.storage).remove(attachment.path).catch(error => {
+            console.error('Error removing attachment file:', error);
+          })
+        ));
+
+        // Clear links, mentions and work logs that still point at the deleted issue
+        try {
+          await relationshipService.handleDeleted(issue, user);
+          await mentionService.handleDeleted(issue);
+          await workLogService.handleDeleted(issue);
+        } catch (error) {
+          console.error(`Error cleaning up after deleted issue ${issue._id}:`, error);
+        }
+
+        await IssueActivity.record(issue._id, 'delete', user, [{
+          field: 'issue',
+          from: { title: issue.title, category: issue.category, priority: issue.priority, status: issue.status },
+          to: null
+        }], { bulk: true });
+        break;
+      }
+
+      default:
+        throw new ErrorResponse(`Unknown bulk action ${action}`, 400);
+    }
+
+    return 'OK';
+  }
+
+  // Page on call for an issue a bulk edit made urgent; the edit itself stands if this fails
+  async pageOnCall(issue) {
+    try {
+      const poster = await User.findById(issue.postedBy);
+      if (poster) await onCallService.handleUrgentIssue(issue, poster);
+    } catch (error) {
+      console.error(`Error paging on-call helper for issue ${issue._id}:`, error);
+    }
+  }
+
+  // Apply an action to each issue, collecting a result per item
+  async run(issueIds, action, params, user, onProgress) {
+    const results = [];
+
+    for (const issueId of issueIds) {
+      try {
+        const message = await this.applyAction(issueId, action, params, user);
+        results.push({ issue: issueId, success: true, message });
+      } catch (error) {
+        results.push({
+          issue: issueId,
+          success: false,
+          message: error.name === 'CastError' ? 'Issue not found' : error.message
+        });
+      }
+
+      if (onProgress) await onProgress(results);
+    }
+
+    return results;
+  }
+
+  async startJob(issueIds, action, params, user) {
+    const job = await BulkJob.create({
+      user: user._id,
+      action,
+      params,
+      issueIds,
+      total: issueIds.length
+    });
+
+    setImmediate(() => {
+      this.processJob(job._id, user).catch(error => this.failJob(job._id, error));
+    });
+
+    return job;
+  }
+
+  // Last resort when a job broke outside its own error handling
+  async failJob(jobId, error) {
+    console.error(`Error running bulk job ${jobId}:`, error);
+
+    try {
+      await BulkJob.updateOne(
+        { _id: jobId, status: { $in: ['queued', 'running'] } },
+        { status: 'failed', error: error.message, completedAt: new Date() }
+      );
+    } catch (saveError) {
+      console.error(`Error marking bulk job ${jobId} as failed:`, saveError);
+    }
+  }
+
+  async processJob(jobId, user) {
+    const job = await BulkJob.findById(jobId);
+    if (!job) return;
+
+    const summarize = (results) => {
+      job.results = results;
+      job.processed = results.length;
+      job.succeeded = results.filter(result => result.success).length;
+      job.failed = results.length - job.succeeded;
+    };
+
+    try {
+      job.status = 'running';
+      job.startedAt = new Date();
+      await job.save();
+
+      const results = await this.run(job.issueIds, job.action, job.params, user, async (partial) => {
+        if (partial.length % PROGRESS_SAVE_INTERVAL === 0) {
+          summarize(partial);
+          await job.save();
+        }
+      });
+
+      summarize(results);
+      job.status = 'completed';
+    } catch (error) {
+      console.error('Error running bulk job:', error);
+      job.status = 'failed';
+      job.error = error.message;
+    } finally {
+      job.completedAt = new Date();
+      await job.save();
+    }
+
+    socketService.notifyUser(user._id.toString(), 'bulk:completed', {
+      jobId: job._id,
+      status: job.status,
+      succeeded: job.succeeded,
+      failed: job.failed,
+      timestamp: new Date()
+    });
+  }
+
+  // Run jobs queued before a restart. Jobs cut off mid-run are failed rather
+  // than replayed, since their actions were partly applied already.
+  async resumePending() {
+    const interrupted = await BulkJob.updateMany(
+      { status: 'running' },
+      { status: 'failed', error: 'Interrupted by a server restart', completedAt: new Date() }
+    );
+
+    const queued = await BulkJob.find({ status: 'queued' })
+      .sort({ createdAt: 1 })
+      .populate('user');
+
+    for (const job of queued) {
+      if (!job.user) {
+        await this.failJob(job._id, new Error('Job owner no longer exists'));
+        continue;
+      }
+
+      await this.processJob(job._id, job.user).catch(error => this.failJob(job._id, error));
+    }
+
+    return interrupted.modifiedCount + queued.length;
+  }
+}
+
+module.exports = new BulkService();
@@ -0,0 +1,61 @@
+const Issue = require('../models/Issue');
+const { rankBySimilarity } = require('../utils/textSimilarity');
+
+// Only compare against recent active issues
+const CANDIDATE_LIMIT = 500;
+const DEFAULT_THRESHOLD = 0.35;
+
+// Weights for the combined duplicate score
+const TEXT_WEIGHT = 0.75;
+const CATEGORY_WEIGHT = 0.1;
+const LOCATION_WEIGHT = 0.15;
+
+class DuplicateService {
+  // Share of the location fields (building, floor, room) that match
+  locationSimilarity(a = {}, b = {}) {
+    const fields = ['building', 'floor', 'room'].filter(field => a[field] && b[field]);
+    if (fields.length === 0) return 0;
+
+    const matches = fields.filter(field =>
+      a[field].trim().toLowerCase() === b[field].trim().toLowerCase()
+    );
+    return matches.length / fields.length;
+  }
+
+  async findDuplicates(draft, { excludeId = null, limit = 5, threshold = DEFAULT_THRESHOLD } = {}) {
+    const filter = { status: { $in: ['open', 'assigned', 'in_progress'] } };
+    if (excludeId) filter._id = { $ne: excludeId };
+
+    const candidates = await Issue.find(filter)
+      .select('title description category location status priority postedBy createdAt tags')
+      .populate('postedBy', 'firstName lastName employeeId')
+      .sort({ createdAt: -1 })
+      .limit(CANDIDATE_LIMIT);
+
+    if (candidates.length === 0) return [];
+
+    // Titles carry most of the signal, so count them twice
+    const toText = (item) => `${item.title} ${item.title} ${item.description || ''}`;
+    const ranked = rankBySimilarity(toText(draft), candidates.map(toText));
+
+    return ranked
+      .map(({ index, score }) => {
+        const candidate = candidates[index];
+        const categoryScore = draft.category && draft.category === candidate.category ? 1 : 0;
+        const locationScore = this.locationSimilarity(draft.location, candidate.location);
+
+        return {
+          issue: candidate,
+          score: Number((score * TEXT_WEIGHT +
+            categoryScore * CATEGORY_WEIGHT +
+            locationScore * LOCATION_WEIGHT).toFixed(3)),
+          textScore: Number(score.toFixed(3))
+        };
+      })
+      .filter(match => match.score >= threshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = new DuplicateService();
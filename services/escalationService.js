@@ -0,0 +1,225 @@
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const SlaPolicy = require('../models/SlaPolicy');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const IssueActivity = require('../models/IssueActivity');
+const socketService = require('./socketService');
+const onCallService = require('./onCallService');
+const { ESCALATION_CHECK_INTERVAL_MS } = require('../config/escalation');
+
+const MINUTE_MS = 60 * 1000;
+
+const PRIORITY_ORDER = ['low', 'medium', 'high', 'urgent'];
+
+// Issues each trigger watches
+const TRIGGER_FILTERS = {
+  unassigned: { status: 'open', assignedTo: null },
+  stalled: { status: { $in: ['assigned', 'in_progress'] } }
+};
+
+// Socket event sent to the people each notify action reaches
+const NOTIFY_EVENTS = {
+  notify_helpers: 'escalation:help_needed',
+  notify_assignee: 'escalation:stalled',
+  notify_department_lead: 'escalation:department'
+};
+
+// Policies fire their steps once per idle period: a step that already ran
+// only runs again after the issue is reopened, commented on or moved along.
+class EscalationService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start(intervalMs = ESCALATION_CHECK_INTERVAL_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.checkIssues();
+    }, intervalMs);
+
+    // Don't keep the process alive just for the checker
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async checkIssues(now = new Date()) {
+    // Skip a tick if the previous scan is still running
+    if (this.running) return 0;
+    this.running = true;
+
+    let escalated = 0;
+    try {
+      const policies = await EscalationPolicy.find({ isActive: true, 'steps.0': { $exists: true } });
+
+      for (const policy of policies) {
+        escalated += await this.checkPolicy(policy, now);
+      }
+    } catch (error) {
+      console.error('Error checking escalations:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return escalated;
+  }
+
+  async checkPolicy(policy, now) {
+    const filter = {
+      ...TRIGGER_FILTERS[policy.trigger],
+      // Nothing can have waited longer than the issue has existed
+      createdAt: { $lte: new Date(now.getTime() - policy.steps[0].afterMinutes * MINUTE_MS) }
+    };
+    if (policy.categories.length > 0) filter.category = { $in: policy.categories };
+    if (policy.priorities.length > 0) filter.priority = { $in: policy.priorities };
+
+    const issues = await Issue.find(filter).populate('postedBy', 'firstName lastName department');
+
+    let escalated = 0;
+    for (const issue of issues) {
+      try {
+        escalated += await this.checkIssue(issue, policy, now);
+      } catch (error) {
+        console.error(`Error escalating issue ${issue._id}:`, error);
+      }
+    }
+
+    return escalated;
+  }
+
+  // Run every step of a policy that has come due for an issue
+  async checkIssue(issue, policy, now = new Date()) {
+    const since = issue.getIdleSince(policy.trigger);
+    const idleMs = now.getTime() - since.getTime();
+
+    const due = policy.steps.filter(step =>
+      idleMs >= step.afterMinutes * MINUTE_MS && !issue.hasEscalated(policy._id, step, since));
+
+    for (const step of due) {
+      await this.runStep(issue, policy, step, since, now);
+    }
+
+    return due.length;
+  }
+
+  async runStep(issue, policy, step, since, now) {
+    const wasUrgent = onCallService.isUrgent(issue);
+    const { changes, detail } = await this.perform(issue, policy, step, since, now);
+
+    issue.escalations.push({
+      policy: policy._id,
+      afterMinutes: step.afterMinutes,
+      trigger: policy.trigger,
+      action: step.action,
+      since,
+      detail,
+      triggeredAt: now
+    });
+    await issue.save();
+
+    await IssueActivity.record(issue._id, 'escalate', null, changes, {
+      policy: policy._id,
+      policyName: policy.name,
+      trigger: policy.trigger,
+      afterMinutes: step.afterMinutes,
+      action: step.action,
+      ...detail
+    });
+
+    socketService.notifyIssue(issue._id, 'issue:escalated', {
+      issueId: issue._id,
+      policy: { id: policy._id, name: policy.name },
+      trigger: policy.trigger,
+      action: step.action,
+      priority: issue.priority,
+      since,
+      timestamp: now
+    });
+
+    // A bump to urgent pages on call like any other way of becoming urgent
+    if (!wasUrgent && onCallService.isUrgent(issue)) {
+      try {
+        await onCallService.handleUrgentIssue(issue, issue.postedBy);
+      } catch (error) {
+        console.error(`Error paging on-call helper for issue ${issue._id}:`, error);
+      }
+    }
+  }
+
+  async perform(issue, policy, step, since, now) {
+    if (step.action === 'bump_priority') {
+      return this.bumpPriority(issue);
+    }
+
+    const recipients = await this.findRecipients(issue, step);
+    const payload = {
+      issueId: issue._id,
+      title: issue.title,
+      category: issue.category,
+      priority: issue.priority,
+      status: issue.status,
+      trigger: policy.trigger,
+      idleMinutes: Math.floor((now.getTime() - since.getTime()) / MINUTE_MS),
+      timestamp: now
+    };
+
+    recipients.forEach(userId => {
+      socketService.notifyUser(userId.toString(), NOTIFY_EVENTS[step.action], payload);
+    });
+
+    return { changes: [], detail: { notified: recipients } };
+  }
+
+  // Users a notify step reaches, never including the poster
+  async findRecipients(issue, step) {
+    const posterId = issue.postedBy._id || issue.postedBy;
+
+    if (step.action === 'notify_helpers') {
+      const helpers = await User.suggestHelpers(issue, {
+        limit: step.count,
+        exclude: [posterId, issue.assignedTo].filter(Boolean)
+      });
+      return helpers.map(helper => helper._id);
+    }
+
+    if (step.action === 'notify_assignee') {
+      return issue.assignedTo ? [issue.assignedTo] : [];
+    }
+
+    const department = issue.postedBy.department;
+    if (!department) return [];
+
+    const leads = await User.find({
+      _id: { $ne: posterId },
+      department,
+      isDepartmentLead: true,
+      isActive: true
+    }).select('_id');
+
+    return leads.map(lead => lead._id);
+  }
+
+  // Raise the priority one level and recompute the SLA targets for it
+  async bumpPriority(issue) {
+    const from = issue.priority;
+    const to = PRIORITY_ORDER[Math.min(PRIORITY_ORDER.indexOf(from) + 1, PRIORITY_ORDER.length - 1)];
+
+    if (to === from) {
+      return { changes: [], detail: { priority: from } };
+    }
+
+    issue.priority = to;
+    issue.applySla(await SlaPolicy.resolveTargets(issue.priority, issue.category));
+
+    return { changes: [{ field: 'priority', from, to }], detail: { priority: to } };
+  }
+}
+
+module.exports = new EscalationService();
@@ -0,0 +1,333 @@
+const HelpRequest = require('../models/HelpRequest');
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const socketService = require('./socketService');
+const assignmentService = require('./assignmentService');
+const ErrorResponse = require('../utils/errorResponse');
+const {
+  HELP_REQUEST_TTL_MINUTES,
+  MAX_PENDING_HELP_REQUESTS,
+  HELP_REQUEST_SWEEP_INTERVAL_MS
+} = require('../config/helpRequests');
+
+// Socket event telling the requester how their request ended
+const OUTCOME_EVENTS = {
+  accepted: 'help:response',
+  declined: 'help:response',
+  expired: 'help:expired',
+  cancelled: 'help:cancelled'
+};
+
+const PARTY_FIELDS = 'firstName lastName employeeId';
+
+const isSameUser = (a, b) => (a._id || a).toString() === (b._id || b).toString();
+
+// Requests are stored first and pushed over the socket second, so a helper
+// who is offline gets them on their next connection. Every state change is a
+// conditional update from 'pending', so a late answer can't override an expiry.
+class HelpRequestService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start(intervalMs = HELP_REQUEST_SWEEP_INTERVAL_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.expirePending();
+    }, intervalMs);
+
+    // Don't keep the process alive just for the sweep
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async populate(request) {
+    await request.populate([
+      { path: 'issue', select: 'title status priority category' },
+      { path: 'requester', select: PARTY_FIELDS },
+      { path: 'recipient', select: PARTY_FIELDS }
+    ]);
+    return request;
+  }
+
+  // Socket payload for a populated request
+  toEvent(request) {
+    const party = (user) => ({
+      id: user._id,
+      name: `${user.firstName} ${user.lastName}`,
+      employeeId: user.employeeId
+    });
+
+    return {
+      requestId: request._id,
+      issueId: request.issue._id,
+      issueTitle: request.issue.title,
+      from: party(request.requester),
+      to: party(request.recipient),
+      status: request.status,
+      accepted: request.status === 'accepted',
+      note: request.note || null,
+      responseNote: request.responseNote || null,
+      expiresAt: request.expiresAt,
+      timestamp: new Date()
+    };
+  }
+
+  // Push a pending request to its helper if they're online
+  async deliverRequest(request) {
+    const recipientId = request.recipient._id || request.recipient;
+    if (!socketService.isUserOnline(recipientId.toString())) return;
+
+    await this.populate(request);
+    socketService.notifyUser(recipientId.toString(), 'help:request', this.toEvent(request));
+    await HelpRequest.updateOne({ _id: request._id }, { deliveredAt: new Date() });
+  }
+
+  // Tell the requester how their request ended if they're online
+  async deliverOutcome(request) {
+    const requesterId = request.requester._id || request.requester;
+    if (!socketService.isUserOnline(requesterId.toString())) return;
+
+    await this.populate(request);
+    socketService.notifyUser(requesterId.toString(), OUTCOME_EVENTS[request.status], this.toEvent(request));
+    await HelpRequest.updateOne({ _id: request._id }, { outcomeDeliveredAt: new Date() });
+  }
+
+  notifyRecipient(request, event) {
+    const recipientId = request.recipient._id || request.recipient;
+    socketService.notifyUser(recipientId.toString(), event, {
+      requestId: request._id,
+      issueId: request.issue._id || request.issue,
+      status: request.status,
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Ask a helper to take an issue. Only users who may assign the issue can ask.
+   *
+   * @param {Object} requester - user asking
+   * @param {{issueId: string, recipientId: string, note?: string}} data
+   * @returns {Promise<Object>} the new request
+   */
+  async create(requester, { issueId, recipientId, note }) {
+    const issue = await Issue.findById(issueId);
+    if (!issue) {
+      throw new ErrorResponse('Issue not found', 404);
+    }
+
+    if (!issue.canTransition('assigned', requester)) {
+      throw new ErrorResponse(`Not authorized to ask for help on this issue while it is ${issue.status}`, 403);
+    }
+
+    if (isSameUser(recipientId, requester)) {
+      throw new ErrorResponse('You cannot ask yourself for help', 400);
+    }
+
+    const recipient = await User.findOne({ _id: recipientId, isActive: true });
+    if (!recipient) {
+      throw new ErrorResponse('Helper not found', 404);
+    }
+
+    if (issue.assignedTo && isSameUser(issue.assignedTo, recipient)) {
+      throw new ErrorResponse('This helper is already assigned to the issue', 400);
+    }
+
+    const pending = await HelpRequest.find({
+      issue: issue._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    }).select('recipient');
+
+    if (pending.some(request => isSameUser(request.recipient, recipient))) {
+      throw new ErrorResponse('This helper already has a pending request for the issue', 400);
+    }
+    if (pending.length >= MAX_PENDING_HELP_REQUESTS) {
+      throw new ErrorResponse(`An issue can have at most ${MAX_PENDING_HELP_REQUESTS} pending help requests`, 400);
+    }
+
+    const request = await HelpRequest.create({
+      issue: issue._id,
+      requester: requester._id,
+      recipient: recipient._id,
+      note,
+      expiresAt: new Date(Date.now() + HELP_REQUEST_TTL_MINUTES * 60 * 1000)
+    });
+
+    await this.deliverRequest(request);
+
+    return request;
+  }
+
+  // Move a pending request on, or explain why it can't be
+  async transition(requestId, party, update) {
+    const request = await HelpRequest.findOneAndUpdate(
+      { _id: requestId, ...party, status: 'pending', expiresAt: { $gt: new Date() } },
+      { $set: update },
+      { new: true }
+    );
+    if (request) return request;
+
+    const existing = await HelpRequest.findOne({ _id: requestId, ...party });
+    if (!existing) {
+      throw new ErrorResponse('Help request not found', 404);
+    }
+    if (existing.status === 'pending') {
+      throw new ErrorResponse('This help request has expired', 409);
+    }
+    throw new ErrorResponse(`This help request was already ${existing.status}`, 409);
+  }
+
+  // Accept a request, assigning the issue to the helper on the requester's behalf
+  async accept(requestId, user, note) {
+    const request = await this.transition(requestId, { recipient: user._id }, {
+      status: 'accepted',
+      respondedAt: new Date(),
+      responseNote: note
+    });
+
+    const issue = await Issue.findById(request.issue);
+    const requester = await User.findById(request.requester);
+
+    try {
+      if (!issue || !requester) {
+        throw new ErrorResponse('The issue or its requester no longer exists', 409);
+      }
+
+      await assignmentService.assign(issue, user._id, requester, {
+        reason: 'Help request accepted',
+        meta: { helpRequest: request._id }
+      });
+    } catch (error) {
+      // The issue moved on since the request was made
+      request.status = 'cancelled';
+      request.responseNote = error.message;
+      await request.save();
+      await this.deliverOutcome(request);
+      throw error;
+    }
+
+    socketService.notifyUser(user._id.toString(), 'issue:assigned', {
+      issueId: issue._id,
+      title: issue.title,
+      assignedBy: requester._id,
+      timestamp: new Date()
+    });
+
+    await this.cancelOthers(request);
+    await this.deliverOutcome(request);
+
+    return request;
+  }
+
+  async decline(requestId, user, note) {
+    const request = await this.transition(requestId, { recipient: user._id }, {
+      status: 'declined',
+      respondedAt: new Date(),
+      responseNote: note
+    });
+
+    await this.deliverOutcome(request);
+
+    return request;
+  }
+
+  async cancel(requestId, user) {
+    const request = await this.transition(requestId, { requester: user._id }, {
+      status: 'cancelled',
+      respondedAt: new Date(),
+      outcomeDeliveredAt: new Date()
+    });
+
+    this.notifyRecipient(request, 'help:cancelled');
+
+    return request;
+  }
+
+  // Withdraw the other helpers' requests once one of them took the issue
+  async cancelOthers(accepted) {
+    const others = await HelpRequest.find({
+      issue: accepted.issue,
+      status: 'pending',
+      _id: { $ne: accepted._id }
+    });
+
+    for (const other of others) {
+      const result = await HelpRequest.updateOne(
+        { _id: other._id, status: 'pending' },
+        { status: 'cancelled', responseNote: 'Another helper accepted', outcomeDeliveredAt: new Date() }
+      );
+      if (result.modifiedCount > 0) {
+        other.status = 'cancelled';
+        this.notifyRecipient(other, 'help:cancelled');
+      }
+    }
+  }
+
+  // Expire pending requests nobody answered in time
+  async expirePending(now = new Date()) {
+    if (this.running) return 0;
+    this.running = true;
+
+    let expired = 0;
+    try {
+      const requests = await HelpRequest.find({ status: 'pending', expiresAt: { $lte: now } });
+
+      for (const request of requests) {
+        try {
+          const result = await HelpRequest.updateOne(
+            { _id: request._id, status: 'pending' },
+            { status: 'expired' }
+          );
+          if (result.modifiedCount === 0) continue;
+
+          request.status = 'expired';
+          expired += 1;
+          this.notifyRecipient(request, 'help:expired');
+          await this.deliverOutcome(request);
+        } catch (error) {
+          console.error(`Error expiring help request ${request._id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error expiring help requests:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return expired;
+  }
+
+  // Send a user everything that happened while they were offline
+  async deliverMissed(userId) {
+    const incoming = await HelpRequest.find({
+      recipient: userId,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: 1 });
+
+    for (const request of incoming) {
+      await this.deliverRequest(request);
+    }
+
+    const outcomes = await HelpRequest.find({
+      requester: userId,
+      status: { $ne: 'pending' },
+      outcomeDeliveredAt: null
+    }).sort({ updatedAt: 1 });
+
+    for (const request of outcomes) {
+      await this.deliverOutcome(request);
+    }
+  }
+}
+
+module.exports = new HelpRequestService();
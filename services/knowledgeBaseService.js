@@ -0,0 +1,74 @@
+const KbArticle = require('../models/KbArticle');
+const { rankBySimilarity } = require('../utils/textSimilarity');
+
+const CANDIDATE_LIMIT = 500;
+const DEFAULT_THRESHOLD = 0.2;
+
+// Weights for the combined suggestion score
+const TEXT_WEIGHT = 0.7;
+const CATEGORY_WEIGHT = 0.15;
+const SKILL_WEIGHT = 0.1;
+const HELPFULNESS_WEIGHT = 0.05;
+
+class KnowledgeBaseService {
+  // Build default article content from a resolved issue
+  buildDraftFromIssue(issue) {
+    const solutionSteps = (issue.resolution.solution || '')
+      .split(/\n+/)
+      .map(step => step.trim())
+      .filter(Boolean);
+    const commentSteps = issue.comments
+      .filter(comment => comment.isSolution)
+      .map(comment => comment.content);
+
+    return {
+      title: issue.title,
+      steps: [...solutionSteps, ...commentSteps],
+      categories: [issue.category],
+      skills: issue.requiredSkills,
+      tags: issue.tags
+    };
+  }
+
+  // Share of helpful votes, neutral when nobody has voted yet
+  helpfulness(article) {
+    const total = article.helpfulCount + article.notHelpfulCount;
+    return total === 0 ? 0.5 : article.helpfulCount / total;
+  }
+
+  async suggestArticles(draft, { limit = 5, threshold = DEFAULT_THRESHOLD } = {}) {
+    const articles = await KbArticle.find({ status: 'published' })
+      .select('-votes -versions')
+      .sort({ helpfulCount: -1, updatedAt: -1 })
+      .limit(CANDIDATE_LIMIT);
+
+    if (articles.length === 0) return [];
+
+    const draftSkills = (draft.requiredSkills || []).map(skill => skill.toLowerCase());
+    const toText = (article) => `${article.title} ${article.title} ${article.steps.join(' ')} ${article.skills.join(' ')} ${article.tags.join(' ')}`;
+    const ranked = rankBySimilarity(`${draft.title} ${draft.title} ${draft.description || ''}`, articles.map(toText));
+
+    return ranked
+      .map(({ index, score }) => {
+        const article = articles[index];
+        const categoryScore = draft.category && article.categories.includes(draft.category) ? 1 : 0;
+        const skillScore = draftSkills.length === 0 ? 0 :
+          article.skills.filter(skill => draftSkills.includes(skill.toLowerCase())).length / draftSkills.length;
+
+        return {
+          article,
+          score: Number((score * TEXT_WEIGHT +
+            categoryScore * CATEGORY_WEIGHT +
+            skillScore * SKILL_WEIGHT +
+            this.helpfulness(article) * HELPFULNESS_WEIGHT).toFixed(3)),
+          textScore: Number(score.toFixed(3))
+        };
+      })
+      // Require some textual overlap so category alone never suggests an article
+      .filter(match => match.textScore > 0 && match.score >= threshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = new KnowledgeBaseService();
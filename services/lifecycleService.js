@@ -0,0 +1,64 @@
+const Issue = require('../models/Issue');
+const IssueActivity = require('../models/IssueActivity');
+const { AUTO_CLOSE_AFTER_DAYS, AUTO_CLOSE_INTERVAL_MS } = require('../config/lifecycle');
+
+class LifecycleService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start(intervalMs = AUTO_CLOSE_INTERVAL_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.closeStaleResolvedIssues();
+    }, intervalMs);
+
+    // Don't keep the process alive just for the sweep
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Close resolved issues that were not reopened within the configured window
+  async closeStaleResolvedIssues(now = new Date()) {
+    if (this.running) return 0;
+    this.running = true;
+
+    let closed = 0;
+    try {
+      const cutoff = new Date(now.getTime() - AUTO_CLOSE_AFTER_DAYS * 24 * 60 * 60 * 1000);
+      const issues = await Issue.find({
+        status: 'resolved',
+        $or: [
+          { 'resolution.resolvedAt': { $lte: cutoff } },
+          { 'resolution.solvedAt': { $lte: cutoff } }
+        ]
+      });
+
+      for (const issue of issues) {
+        const reason = `Auto-closed ${AUTO_CLOSE_AFTER_DAYS} days after resolution`;
+        issue.transitionTo('closed', null, reason);
+        await issue.save();
+
+        await IssueActivity.record(issue._id, 'status', null,
+          [{ field: 'status', from: 'resolved', to: 'closed' }], { reason });
+        closed += 1;
+      }
+    } catch (error) {
+      console.error('Error auto-closing resolved issues:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return closed;
+  }
+}
+
+module.exports = new LifecycleService();
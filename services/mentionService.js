@@ -0,0 +1,112 @@
+const User = require('../models/User');
+const Mention = require('../models/Mention');
+const socketService = require('./socketService');
+const escapeRegex = require('../utils/escapeRegex');
+
+// @EMP002 or @firstname.lastname, not preceded by a word character (skips emails)
+const MENTION_PATTERN = /(^|[^\w.@])@([A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?)/g;
+
+const EXCERPT_LENGTH = 140;
+
+class MentionService {
+  // Pull the unique mention tokens out of comment content
+  extractTokens(content) {
+    const tokens = new Map();
+    let match;
+
+    MENTION_PATTERN.lastIndex = 0;
+    while ((match = MENTION_PATTERN.exec(content || '')) !== null) {
+      const token = match[2];
+      tokens.set(token.toLowerCase(), token);
+    }
+    return Array.from(tokens.values());
+  }
+
+  // Resolve tokens to users by employee ID or first.last name
+  async resolveMentions(content) {
+    const tokens = this.extractTokens(content);
+    if (tokens.length === 0) return [];
+
+    const conditions = tokens.map(token => {
+      const [firstName, lastName, ...rest] = token.split('.');
+      if (lastName && rest.length === 0) {
+        return {
+          firstName: new RegExp(`^${escapeRegex(firstName)}$`, 'i'),
+          lastName: new RegExp(`^${escapeRegex(lastName)}$`, 'i')
+        };
+      }
+      return { employeeId: new RegExp(`^${escapeRegex(token)}$`, 'i') };
+    });
+
+    const users = await User.find({ isActive: true, $or: conditions })
+      .select('firstName lastName employeeId');
+
+    return tokens.reduce((mentions, token) => {
+      const key = token.toLowerCase();
+      const matches = users.filter(user =>
+        user.employeeId.toLowerCase() === key ||
+        `${user.firstName}.${user.lastName}`.toLowerCase() === key
+      );
+
+      // Ambiguous names are left unresolved rather than pinging the wrong person
+      if (matches.length === 1) {
+        mentions.push({ user: matches[0]._id, token });
+      }
+      return mentions;
+    }, []);
+  }
+
+  // Store inbox entries and push real-time notifications for new mentions
+  async notifyMentions(issue, comment, author, mentions) {
+    const authorId = author._id.toString();
+    const recipients = mentions.filter(mention => mention.user.toString() !== authorId);
+
+    for (const mention of recipients) {
+      const excerpt = comment.content.length > EXCERPT_LENGTH
+        ? `${comment.content.slice(0, EXCERPT_LENGTH)}…`
+        : comment.content;
+
+      const entry = await Mention.findOneAndUpdate(
+        { user: mention.user, comment: comment._id },
+        {
+          $setOnInsert: {
+            mentionedBy: author._id,
+            issue: issue._id,
+            token: mention.token,
+            excerpt
+          }
+        },
+        { upsert: true, new: true }
+      );
+
+      socketService.notifyUser(mention.user.toString(), 'mention:received', {
+        mentionId: entry._id,
+        issueId: issue._id,
+        issueTitle: issue.title,
+        commentId: comment._id,
+        excerpt,
+        mentionedBy: {
+          id: authorId,
+          name: `${author.firstName} ${author.lastName}`,
+          employeeId: author.employeeId
+        },
+        timestamp: new Date()
+      });
+    }
+  }
+
+  // Drop every inbox entry pointing at a deleted issue
+  async handleDeleted(issue) {
+    await Mention.deleteMany({ issue: issue._id });
+  }
+
+  // Drop inbox entries for users an edited comment no longer mentions
+  async removeStaleMentions(comment, mentions) {
+    await Mention.deleteMany({
+      comment: comment._id,
+      user: { $nin: mentions.map(mention => mention.user) }
+    });
+  }
+}
+
+module.exports = new MentionService();
@@ -0,0 +1,146 @@
+const Issue = require('../models/Issue');
+const IssueMerge = require('../models/IssueMerge');
+const IssueActivity = require('../models/IssueActivity');
+const Mention = require('../models/Mention');
+const socketService = require('./socketService');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Most source issues folded in by a single merge
+const MAX_MERGE_SOURCES = 20;
+
+// Every step of a merge is idempotent: the target skips anything it already
+// has and sources already closed into the target count as done. A merge that
+// stops halfway can therefore simply be run again, which is what
+// resumePending does on startup.
+class MergeService {
+  constructor() {
+    this.maxSources = MAX_MERGE_SOURCES;
+  }
+
+  assertCanMerge(target, sources) {
+    if (target.status === 'closed') {
+      throw new ErrorResponse('Cannot merge into a closed issue', 400);
+    }
+
+    sources.forEach(source => {
+      if (source._id.equals(target._id)) {
+        throw new ErrorResponse('An issue cannot be merged into itself', 400);
+      }
+
+      const alreadyMerged = source.mergedInto && source.mergedInto.equals(target._id);
+      if (alreadyMerged) return;
+
+      if (source.mergedInto) {
+        throw new ErrorResponse(`Issue ${source._id} was already merged into another issue`, 400);
+      }
+      if (source.status === 'closed') {
+        throw new ErrorResponse(`Issue ${source._id} is closed`, 400);
+      }
+    });
+  }
+
+  // Start a merge of sources into target and run it to completion
+  async merge(target, sources, user) {
+    this.assertCanMerge(target, sources);
+
+    const merge = await IssueMerge.create({
+      target: target._id,
+      sources: sources.map(source => source._id),
+      performedBy: user._id
+    });
+
+    return this.run(merge, user);
+  }
+
+  // Fold one source into the target and close it
+  async mergeSource(targetId, sourceId, actor) {
+    const target = await Issue.findById(targetId);
+    const source = await Issue.findById(sourceId);
+
+    if (!target) throw new ErrorResponse('Merge target no longer exists', 404);
+
+    // Deleted in the meantime, or finished by an earlier attempt
+    if (!source || (source.mergedInto && source.mergedInto.equals(target._id))) return false;
+
+    const before = {
+      comments: target.comments.length,
+      votes: target.voteCount,
+      attachments: target.attachments.length,
+      watchers: target.watchers.length
+    };
+
+    target.absorb(source);
+    await target.save();
+
+    // Inbox entries follow the comments they point at
+    await Mention.updateMany({ issue: source._id }, { issue: target._id });
+
+    const status = source.status;
+    source.closeAsMerged(target);
+    await source.save();
+
+    await IssueActivity.record(target._id, 'merge', actor, [
+      { field: 'comments', from: before.comments, to: target.comments.length },
+      { field: 'voteCount', from: before.votes, to: target.voteCount },
+      { field: 'attachments', from: before.attachments, to: target.attachments.length },
+      { field: 'watchers', from: before.watchers, to: target.watchers.length }
+    ], { source: source._id });
+
+    await IssueActivity.record(source._id, 'merge', actor, [
+      { field: 'status', from: status, to: 'closed' },
+      { field: 'mergedInto', from: null, to: target._id }
+    ]);
+
+    socketService.notifyIssue(source._id, 'issue:merged', {
+      issueId: source._id,
+      targetId: target._id,
+      targetTitle: target.title,
+      timestamp: new Date()
+    });
+
+    return true;
+  }
+
+  async run(merge, actor = merge.performedBy) {
+    try {
+      for (const sourceId of merge.getRemainingSources()) {
+        await this.mergeSource(merge.target, sourceId, actor);
+        merge.completedSources.push(sourceId);
+        await merge.save();
+      }
+
+      merge.status = 'completed';
+      merge.error = null;
+      merge.completedAt = new Date();
+      await merge.save();
+    } catch (error) {
+      merge.status = 'failed';
+      merge.error = error.message;
+      await merge.save();
+      throw error;
+    }
+
+    // Former watchers of the sources now follow the target
+    const target = await Issue.findById(merge.target);
+    if (target) socketService.syncIssueRoom(target);
+
+    return merge;
+  }
+
+  // Finish merges interrupted by a crash or restart
+  async resumePending() {
+    const merges = await IssueMerge.find({ status: 'pending' }).sort({ createdAt: 1 });
+
+    for (const merge of merges) {
+      try {
+        await this.run(merge);
+      } catch (error) {
+        console.error(`Error resuming merge ${merge._id}:`, error);
+      }
+    }
+
+    return merges.length;
+  }
+}
+
+module.exports = new MergeService();
@@ -0,0 +1,80 @@
+const OnCallSchedule = require('../models/OnCallSchedule');
+const User = require('../models/User');
+const socketService = require('./socketService');
+const assignmentService = require('./assignmentService');
+const { ONCALL_ASSIGN_URGENT } = require('../config/oncall');
+
+const MEMBER_FIELDS = 'firstName lastName employeeId department email availability isActive';
+
+class OnCallService {
+  /**
+   * Who is on call for a category right now, and who comes next.
+   *
+   * @param {string} category - issue category
+   * @param {string} [department] - preferred department, falls back to catch-all schedules
+   * @param {Date} [at] - point in time, now by default
+   * @returns {Promise<Object|null>} null when no schedule covers the category
+   */
+  async getOnCall(category, department, at = new Date()) {
+    const schedule = await OnCallSchedule.findForCategory(category, department);
+    if (!schedule) return null;
+
+    const current = schedule.getOnCall(at);
+    if (!current) return null;
+
+    const next = schedule.getOnCall(current.endsAt);
+    const users = await User.find({ _id: { $in: [current.user, next.user] } }).select(MEMBER_FIELDS);
+    const byId = new Map(users.map(user => [user._id.toString(), user]));
+
+    return {
+      schedule: {
+        id: schedule._id,
+        name: schedule.name,
+        department: schedule.department,
+        timezone: schedule.timezone
+      },
+      onCall: { ...current, user: byId.get(current.user.toString()) || null },
+      next: { ...next, user: byId.get(next.user.toString()) || null }
+    };
+  }
+
+  // Issues that page whoever is on call for their category
+  isUrgent(issue) {
+    return issue.priority === 'urgent' || Boolean(issue.isUrgent);
+  }
+
+  // Page the on-call helper about a new urgent issue and make them its default assignee
+  async handleUrgentIssue(issue, poster) {
+    const result = await this.getOnCall(issue.category, poster.department);
+    if (!result || !result.onCall.user) return null;
+
+    const onCallUser = result.onCall.user;
+
+    if (ONCALL_ASSIGN_URGENT && issue.status === 'open' &&
+        onCallUser.isActive && !onCallUser._id.equals(poster._id)) {
+      await assignmentService.assign(issue, onCallUser._id, null, {
+        reason: `On call for ${issue.category}`,
+        meta: { onCallSchedule: result.schedule.id }
+      });
+    }
+
+    socketService.notifyUser(onCallUser._id.toString(), 'oncall:urgent_issue', {
+      issueId: issue._id,
+      title: issue.title,
+      category: issue.category,
+      priority: issue.priority,
+      assigned: issue.assignedTo ? onCallUser._id.equals(issue.assignedTo) : false,
+      postedBy: {
+        id: poster._id,
+        name: poster.getFullName(),
+        department: poster.department
+      },
+      schedule: result.schedule,
+      timestamp: new Date()
+    });
+
+    return result;
+  }
+}
+
+module.exports = new OnCallService();
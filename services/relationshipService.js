@@ -0,0 +1,159 @@
+const Issue = require('../models/Issue');
+const IssueActivity = require('../models/IssueActivity');
+const socketService = require('./socketService');
+const ErrorResponse = require('../utils/errorResponse');
+const { DUPLICATE_RESOLUTION_MODE } = require('../config/lifecycle');
+
+// Link types an issue may have at most one of
+const SINGLE_LINK_TYPES = ['duplicate_of', 'parent'];
+
+class RelationshipService {
+  // Walk up the parent chain of an issue, returning every ancestor id
+  async getAncestorIds(issue) {
+    const ancestors = [];
+    let parentId = issue.getLinkedIds('parent')[0];
+
+    while (parentId && !ancestors.includes(parentId.toString())) {
+      ancestors.push(parentId.toString());
+      const parent = await Issue.findById(parentId).select('links');
+      parentId = parent ? parent.getLinkedIds('parent')[0] : null;
+    }
+
+    return ancestors;
+  }
+
+  async assertCanLink(issue, type, target) {
+    const inverse = Issue.LINK_INVERSES[type];
+
+    if (issue._id.equals(target._id)) {
+      throw new ErrorResponse('An issue cannot be linked to itself', 400);
+    }
+
+    if (issue.links.some(link => link.issue.equals(target._id))) {
+      throw new ErrorResponse('These issues are already linked', 400);
+    }
+
+    if (SINGLE_LINK_TYPES.includes(type) && issue.getLinkedIds(type).length > 0) {
+      throw new ErrorResponse(`Issue already has a ${type.replace('_', ' ')} link`, 400);
+    }
+    if (SINGLE_LINK_TYPES.includes(inverse) && target.getLinkedIds(inverse).length > 0) {
+      throw new ErrorResponse(`Linked issue already has a ${inverse.replace('_', ' ')} link`, 400);
+    }
+
+    // Keep duplicates pointing straight at their master
+    if (type === 'duplicate_of' || type === 'duplicated_by') {
+      const [duplicate, master] = type === 'duplicate_of' ? [issue, target] : [target, issue];
+      if (master.getLinkedIds('duplicate_of').length > 0) {
+        throw new ErrorResponse('Duplicates must point at the master issue, not another duplicate', 400);
+      }
+      if (duplicate.getLinkedIds('duplicated_by').length > 0) {
+        throw new ErrorResponse('An issue with duplicates of its own cannot be marked as a duplicate', 400);
+      }
+    }
+
+    // Sub-tasks can't end up as their own ancestors
+    if (type === 'parent' || type === 'child') {
+      const [child, parent] = type === 'parent' ? [issue, target] : [target, issue];
+      const ancestors = await this.getAncestorIds(parent);
+      if (ancestors.includes(child._id.toString())) {
+        throw new ErrorResponse('This link would create a parent/child cycle', 400);
+      }
+    }
+  }
+
+  // Link two issues, recording the inverse type on the target
+  async link(issue, type, target, user) {
+    await this.assertCanLink(issue, type, target);
+
+    const inverse = Issue.LINK_INVERSES[type];
+    issue.addLink(type, target._id, user._id);
+    target.addLink(inverse, issue._id, user._id);
+
+    await issue.save();
+    await target.save();
+
+    await IssueActivity.record(issue._id, 'link', user,
+      [{ field: 'links', from: null, to: { type, issue: target._id } }]);
+    await IssueActivity.record(target._id, 'link', user,
+      [{ field: 'links', from: null, to: { type: inverse, issue: issue._id } }]);
+
+    return issue.links[issue.links.length - 1];
+  }
+
+  // Remove a link from both issues. The other side may already be gone.
+  async unlink(issue, link, user) {
+    const inverse = Issue.LINK_INVERSES[link.type];
+    const removed = { type: link.type, issue: link.issue };
+
+    issue.removeLink(link.type, link.issue);
+    await issue.save();
+
+    const target = await Issue.findById(link.issue);
+    if (target && target.removeLink(inverse, issue._id)) {
+      await target.save();
+      await IssueActivity.record(target._id, 'link', user,
+        [{ field: 'links', from: { type: inverse, issue: issue._id }, to: null }]);
+    }
+
+    await IssueActivity.record(issue._id, 'link', user,
+      [{ field: 'links', from: removed, to: null }]);
+  }
+
+  // Strip links pointing at a deleted issue from every issue that still has one
+  async handleDeleted(issue, user) {
+    const linked = await Issue.find({ 'links.issue': issue._id });
+
+    for (const target of linked) {
+      const removed = target.links.filter(link => link.issue.equals(issue._id));
+      removed.forEach(link => target.removeLink(link.type, issue._id));
+      await target.save();
+
+      await IssueActivity.record(target._id, 'link', user,
+        removed.map(link => ({ field: 'links', from: { type: link.type, issue: issue._id }, to: null })),
+        { deleted: true });
+    }
+  }
+
+  // Resolve or notify the open duplicates of a master issue that was just resolved
+  async handleResolved(master) {
+    const duplicateIds = master.getLinkedIds('duplicated_by');
+    if (duplicateIds.length === 0) return [];
+
+    const duplicates = await Issue.find({
+      _id: { $in: duplicateIds },
+      status: { $in: ['open', 'assigned', 'in_progress'] }
+    });
+
+    for (const duplicate of duplicates) {
+      if (DUPLICATE_RESOLUTION_MODE === 'resolve') {
+        const before = duplicate.toObject();
+
+        try {
+          duplicate.resolveAsDuplicate(master);
+          await duplicate.save();
+        } catch (error) {
+          // Leave it for a human, e.g. when the duplicate has open sub-tasks
+          console.error(`Error resolving duplicate ${duplicate._id}:`, error.message);
+          continue;
+        }
+
+        await IssueActivity.record(duplicate._id, 'resolve', null,
+          IssueActivity.diff(before, duplicate.toObject(), ['status', 'resolution']),
+          { duplicateOf: master._id });
+      }
+
+      socketService.notifyIssue(duplicate._id, 'issue:master_resolved', {
+        issueId: duplicate._id,
+        masterId: master._id,
+        masterTitle: master.title,
+        status: duplicate.status,
+        solution: master.resolution.solution,
+        timestamp: new Date()
+      });
+    }
+
+    return duplicates;
+  }
+}
+
+module.exports = new RelationshipService();
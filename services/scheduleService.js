@@ -0,0 +1,150 @@
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const SlaPolicy = require('../models/SlaPolicy');
+const IssueActivity = require('../models/IssueActivity');
+const MaintenanceSchedule = require('../models/MaintenanceSchedule');
+const socketService = require('./socketService');
+const { SCHEDULE_CHECK_INTERVAL_MS } = require('../config/schedules');
+
+const DUPLICATE_KEY = 11000;
+
+class ScheduleService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start(intervalMs = SCHEDULE_CHECK_INTERVAL_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.runDueSchedules();
+    }, intervalMs);
+
+    // Don't keep the process alive just for the scheduler
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Create the issues for every schedule whose next run has come
+  async runDueSchedules(now = new Date()) {
+    if (this.running) return 0;
+    this.running = true;
+
+    let created = 0;
+    try {
+      const schedules = await MaintenanceSchedule.find({
+        isPaused: false,
+        nextRunAt: { $ne: null, $lte: now }
+      });
+
+      for (const schedule of schedules) {
+        try {
+          if (await this.runOccurrence(schedule, now)) created += 1;
+        } catch (error) {
+          console.error(`Error running maintenance schedule ${schedule._id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error checking maintenance schedules:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return created;
+  }
+
+  buildIssue(schedule, occurrence) {
+    const { template } = schedule.toObject();
+    const date = occurrence.toISOString().slice(0, 10);
+
+    return new Issue({
+      title: template.title.replace(/\{date\}/g, date),
+      description: template.description,
+      category: template.category,
+      priority: template.priority,
+      requiredSkills: template.requiredSkills,
+      location: template.location,
+      tags: [...new Set([...(template.tags || []), 'maintenance'])],
+      estimatedTime: template.estimatedTime,
+      postedBy: schedule.createdBy,
+      recurrence: {
+        schedule: schedule._id,
+        occurrence
+      }
+    });
+  }
+
+  // Create the issue for a schedule's current occurrence and move it forward.
+  // The unique recurrence index turns a repeated run into a no-op.
+  async runOccurrence(schedule, now = new Date()) {
+    const occurrence = schedule.nextRunAt;
+    const issue = this.buildIssue(schedule, occurrence);
+
+    const assigneeId = schedule.getAssigneeForRun(schedule.runCount);
+    const assignee = assigneeId && await User.findOne({ _id: assigneeId, isActive: true });
+    if (assignee) {
+      issue.assignTo(assignee._id, null, `Scheduled maintenance: ${schedule.name}`);
+    }
+
+    issue.applySla(await SlaPolicy.resolveTargets(issue.priority, issue.category));
+
+    let created = true;
+    let issueId = issue._id;
+    try {
+      await issue.save();
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+
+      // An earlier run created it but stopped before moving the schedule on
+      created = false;
+      const existing = await Issue.findOne({
+        'recurrence.schedule': schedule._id,
+        'recurrence.occurrence': occurrence
+      }).select('_id');
+      issueId = existing ? existing._id : null;
+    }
+
+    // Skip occurrences missed while the server was down instead of replaying them
+    const nextRunAt = schedule.computeNextRun(now > occurrence ? now : occurrence);
+
+    // Only advance from the occurrence we handled, so concurrent runs can't skip one
+    await MaintenanceSchedule.updateOne(
+      { _id: schedule._id, nextRunAt: occurrence },
+      {
+        nextRunAt,
+        lastRunAt: now,
+        lastIssue: issueId,
+        $inc: { runCount: 1 }
+      }
+    );
+
+    if (!created) return false;
+
+    await IssueActivity.record(issue._id, 'create', null, [], {
+      title: issue.title,
+      schedule: schedule._id
+    });
+    socketService.syncIssueRoom(issue);
+
+    if (assignee) {
+      socketService.notifyUser(assignee._id.toString(), 'issue:assigned', {
+        issueId: issue._id,
+        title: issue.title,
+        assignedBy: null,
+        schedule: schedule._id,
+        timestamp: new Date()
+      });
+    }
+
+    return true;
+  }
+}
+
+module.exports = new ScheduleService();
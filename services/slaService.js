@@ -0,0 +1,117 @@
+const Issue = require('../models/Issue');
+const socketService = require('./socketService');
+
+// How often the in-process checker scans active issues
+const SLA_CHECK_INTERVAL_MS = 60 * 1000;
+
+class SlaService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start(intervalMs = SLA_CHECK_INTERVAL_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.checkIssues();
+    }, intervalMs);
+
+    // Don't keep the process alive just for the checker
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async checkIssues(now = new Date()) {
+    // Skip a tick if the previous scan is still running
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const issues = await Issue.find({
+        status: { $in: ['open', 'assigned', 'in_progress'] },
+        'sla.resolutionDueAt': { $ne: null },
+        'sla.state': { $ne: 'breached' }
+      }).populate('postedBy', 'firstName lastName employeeId department');
+
+      // One bad issue shouldn't stop the rest of the scan
+      for (const issue of issues) {
+        try {
+          await this.checkIssue(issue, now);
+        } catch (error) {
+          console.error(`Error checking SLA for issue ${issue._id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error checking SLA breaches:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async checkIssue(issue, now = new Date()) {
+    const previousState = issue.sla.state;
+    const state = issue.getSlaState(now);
+
+    if (!state || state === previousState) return;
+
+    issue.sla.state = state;
+
+    if (state === 'at_risk' && !issue.sla.atRiskNotifiedAt) {
+      issue.sla.atRiskNotifiedAt = now;
+      this.notifyParticipants(issue, 'sla:at_risk');
+    }
+
+    if (state === 'breached') {
+      issue.sla.breachedAt = now;
+      this.notifyParticipants(issue, 'sla:breached');
+
+      if (issue.priority === 'urgent') {
+        this.escalate(issue, now);
+      }
+    }
+
+    await issue.save();
+  }
+
+  notifyParticipants(issue, event) {
+    const payload = this.buildPayload(issue);
+    const ownerId = (issue.postedBy._id || issue.postedBy).toString();
+
+    socketService.notifyUser(ownerId, event, payload);
+
+    if (issue.assignedTo && issue.assignedTo.toString() !== ownerId) {
+      socketService.notifyUser(issue.assignedTo.toString(), event, payload);
+    }
+  }
+
+  // Urgent breaches go to everyone in the poster's department
+  escalate(issue, now) {
+    const department = issue.postedBy && issue.postedBy.department;
+    if (!department) return;
+
+    issue.sla.escalatedAt = now;
+    socketService.notifyDepartment(department, 'sla:escalated', this.buildPayload(issue));
+  }
+
+  buildPayload(issue) {
+    return {
+      issueId: issue._id,
+      title: issue.title,
+      priority: issue.priority,
+      status: issue.status,
+      slaState: issue.sla.state,
+      responseDueAt: issue.sla.responseDueAt,
+      resolutionDueAt: issue.sla.resolutionDueAt,
+      timestamp: new Date()
+    };
+  }
+}
+
+module.exports = new SlaService();
@@ -2,6 +2,9 @@ const socketIo = require('socket.io');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Issue = require('../models/Issue');
+const HelpRequest = require('../models/HelpRequest');
+const workLogService = require('./workLogService');
+const ErrorResponse = require('../utils/errorResponse');
 
 // Hardcoded JWT secret
 const JWT_SECRET = "your-super-secret-jwt-key-change-this-in-production";
@@ -70,6 +73,22 @@ class SocketService {
         socket.join(`department:${socket.user.department}`);
       }
 
+      // Join user to the rooms of the issues they watch
+      this.joinWatchedIssues(socket);
+
+      // Re-send assignment offers and help requests missed while offline
+      this.deliverAssignmentOffers(socket);
+      this.deliverMissedHelpRequests(socket);
+
+      // Handle issue subscriptions
+      socket.on('issue:subscribe', (data) => {
+        this.handleIssueSubscribe(socket, data);
+      });
+
+      socket.on('issue:unsubscribe', (data) => {
+        this.handleIssueUnsubscribe(socket, data);
+      });
+
       // Handle issue updates
       socket.on('issue:update', (data) => {
         this.handleIssueUpdate(socket, data);
@@ -110,6 +129,20 @@ class SocketService {
         this.handleHelpRespond(socket, data);
       });
 
+      // Handle auto-assignment offers (helper accepts or declines)
+      socket.on('assignment:respond', (data) => {
+        this.handleAssignmentRespond(socket, data);
+      });
+
+      // Handle work log timers
+      socket.on('timer:start', (data) => {
+        this.handleTimerStart(socket, data);
+      });
+
+      socket.on('timer:stop', (data) => {
+        this.handleTimerStop(socket, data);
+      });
+
       // Handle typing indicators
       socket.on('typing:start', (data) => {
         this.handleTypingStart(socket, data);
@@ -134,6 +167,57 @@ class SocketService {
     }
   }
 
+  async joinWatchedIssues(socket) {
+    try {
+      const issues = await Issue.find({
+        watchers: socket.userId,
+        status: { $ne: 'closed' }
+      }).select('_id');
+
+      issues.forEach(issue => socket.join(`issue:${issue._id}`));
+    } catch (error) {
+      console.error('Error joining watched issue rooms:', error);
+    }
+  }
+
+  async handleIssueSubscribe(socket, data) {
+    const { issueId } = data || {};
+
+    try {
+      const issue = await Issue.findById(issueId);
+      if (!issue) {
+        socket.emit('issue:subscribe:error', { issueId, message: 'Issue not found' });
+        return;
+      }
+
+      if (issue.addWatcher(socket.userId)) {
+        await issue.save();
+      }
+      this.joinIssueRoom(socket.userId, issueId);
+
+      socket.emit('issue:subscribed', { issueId, timestamp: new Date() });
+    } catch (error) {
+      console.error('Error subscribing to issue:', error);
+      socket.emit('issue:subscribe:error', { issueId, message: 'Could not subscribe to issue' });
+    }
+  }
+
+  async handleIssueUnsubscribe(socket, data) {
+    const { issueId } = data || {};
+
+    try {
+      const issue = await Issue.findById(issueId);
+      if (issue && issue.removeWatcher(socket.userId)) {
+        await issue.save();
+      }
+      this.leaveIssueRoom(socket.userId, issueId);
+
+      socket.emit('issue:unsubscribed', { issueId, timestamp: new Date() });
+    } catch (error) {
+      console.error('Error unsubscribing from issue:', error);
+    }
+  }
+
   handleIssueUpdate(socket, data) {
     const { issueId, updates } = data;
     
@@ -239,84 +323,168 @@ class SocketService {
     });
   }
 
-  handleHelpAsk(socket, data) {
-    const { recipientId, issueId, note } = data;
+  // Help requests are stored by the help request service, which delivers them
+  // (now or on the helper's next connection) and notifies through this one
+  getHelpRequestService() {
+    return require('./helpRequestService');
+  }
 
-    // Notify the potential helper
-    this.io.to(`user:${recipientId}`).emit('help:request', {
-      from: {
-        id: socket.userId,
-        name: socket.user.getFullName(),
-        employeeId: socket.user.employeeId
-      },
-      issueId,
-      note: note || null,
-      timestamp: new Date()
-    });
+  async deliverMissedHelpRequests(socket) {
+    try {
+      await this.getHelpRequestService().deliverMissed(socket.userId);
+    } catch (error) {
+      console.error('Error delivering missed help requests:', error);
+    }
+  }
 
-    // Acknowledge to requester
-    socket.emit('help:asked', {
-      recipientId,
-      issueId,
-      timestamp: new Date()
-    });
+  async handleHelpAsk(socket, data) {
+    const { recipientId, issueId, note } = data || {};
+
+    try {
+      const request = await this.getHelpRequestService().create(socket.user, { issueId, recipientId, note });
+
+      // Acknowledge to requester
+      socket.emit('help:asked', {
+        requestId: request._id,
+        recipientId,
+        issueId,
+        expiresAt: request.expiresAt,
+        timestamp: new Date()
+      });
+    } catch (error) {
+      socket.emit('help:error', {
+        issueId,
+        message: error.statusCode ? error.message : 'Could not send help request'
+      });
+    }
   }
 
-  handleHelpRespond(socket, data) {
-    const { toUserId, issueId, accepted, note } = data;
+  async handleHelpRespond(socket, data) {
+    const { requestId, toUserId, issueId, accepted, note } = data || {};
+    const helpRequestService = this.getHelpRequestService();
 
-    // Notify the original requester (issue owner)
-    this.io.to(`user:${toUserId}`).emit('help:response', {
-      from: {
-        id: socket.userId,
-        name: socket.user.getFullName(),
-        employeeId: socket.user.employeeId
-      },
-      issueId,
-      accepted: Boolean(accepted),
-      note: note || null,
-      timestamp: new Date()
-    });
+    try {
+      // Older clients identify the request by issue and requester
+      const id = requestId || (await this.findPendingHelpRequestId(socket.userId, toUserId, issueId));
+
+      const request = accepted
+        ? await helpRequestService.accept(id, socket.user, note)
+        : await helpRequestService.decline(id, socket.user, note);
+
+      // Acknowledge to responder
+      socket.emit('help:responded', {
+        requestId: request._id,
+        toUserId: request.requester,
+        issueId: request.issue,
+        accepted: Boolean(accepted),
+        timestamp: new Date()
+      });
+    } catch (error) {
+      socket.emit('help:error', {
+        requestId,
+        issueId,
+        message: error.statusCode ? error.message : 'Could not answer help request'
+      });
+    }
+  }
 
-    // If accepted, attempt to assign the issue to the responder (helper)
-    if (accepted) {
-      (async () => {
-        try {
-          const issue = await Issue.findById(issueId);
-          if (!issue) return;
-          // Only assign if the toUserId is the owner of the issue and issue is not already resolved/closed
-          if (issue.postedBy.toString() !== toUserId.toString()) return;
-          if (['resolved', 'closed'].includes(issue.status)) return;
-
-          issue.assignedTo = socket.userId;
-          issue.status = 'assigned';
-          await issue.save();
-
-          // Notify both users about assignment
-          this.io.to(`user:${socket.userId}`).emit('issue:assigned', {
-            issueId,
-            assignedBy: { id: toUserId },
-            timestamp: new Date()
-          });
-          this.io.to(`user:${toUserId}`).emit('issue:assigned', {
-            issueId,
-            assignedBy: { id: toUserId },
-            timestamp: new Date()
-          });
-        } catch (err) {
-          // Swallow errors to avoid crashing socket pipeline
-          console.error('Error auto-assigning on help accept:', err?.message);
-        }
-      })();
+  async findPendingHelpRequestId(recipientId, requesterId, issueId) {
+    const request = await HelpRequest.findOne({
+      recipient: recipientId,
+      requester: requesterId,
+      issue: issueId,
+      status: 'pending'
+    }).select('_id');
+
+    if (!request) {
+      throw new ErrorResponse('Help request not found', 404);
     }
+    return request._id;
+  }
 
-    // Acknowledge to responder
-    socket.emit('help:responded', {
-      toUserId,
-      issueId,
-      accepted: Boolean(accepted),
-      timestamp: new Date()
-    });
+  // The auto-assign service notifies through this one, so load it lazily
+  getAutoAssignService() {
+    return require('./autoAssignService');
+  }
+
+  async deliverAssignmentOffers(socket) {
+    try {
+      await this.getAutoAssignService().deliverPendingOffers(socket.userId);
+    } catch (error) {
+      console.error('Error delivering assignment offers:', error);
+    }
+  }
+
+  async handleAssignmentRespond(socket, data) {
+    const { issueId, accepted } = data || {};
+
+    try {
+      const issue = await this.getAutoAssignService().respond(issueId, socket.user, Boolean(accepted));
+
+      socket.emit('assignment:responded', {
+        issueId,
+        accepted: Boolean(accepted),
+        state: issue.autoAssignment.state,
+        timestamp: new Date()
+      });
+    } catch (error) {
+      socket.emit('assignment:error', {
+        issueId,
+        message: error.statusCode ? error.message : 'Could not answer the assignment offer'
+      });
+    }
+  }
+
+  async handleTimerStart(socket, data) {
+    const { issueId, note } = data || {};
+
+    try {
+      const issue = await Issue.findById(issueId);
+      if (!issue) {
+        socket.emit('timer:error', { issueId, message: 'Issue not found' });
+        return;
+      }
+
+      const { timer, stopped } = await workLogService.startTimer(issue, socket.user, note);
+
+      if (stopped) {
+        this.notifyIssue(stopped.issue, 'worklog:updated', {
+          issueId: stopped.issue,
+          event: 'timer_stopped',
+          entry: stopped,
+          timestamp: new Date()
+        });
+      }
+      this.notifyIssue(issue._id, 'worklog:updated', {
+        issueId: issue._id,
+        event: 'timer_started',
+        entry: timer,
+        timestamp: new Date()
+      });
+
+      socket.emit('timer:started', { timer, stopped, timestamp: new Date() });
+    } catch (error) {
+      socket.emit('timer:error', { issueId, message: error.statusCode ? error.message : 'Could not start timer' });
+    }
+  }
+
+  async handleTimerStop(socket, data) {
+    const { issueId, note } = data || {};
+
+    try {
+      const timer = await workLogService.stopTimer(issueId, socket.user, note);
+
+      this.notifyIssue(timer.issue, 'worklog:updated', {
+        issueId: timer.issue,
+        event: 'timer_stopped',
+        entry: timer,
+        timestamp: new Date()
+      });
+
+      socket.emit('timer:stopped', { timer, timestamp: new Date() });
+    } catch (error) {
+      socket.emit('timer:error', { issueId, message: error.statusCode ? error.message : 'Could not stop timer' });
+    }
   }
 
   handleTypingStart(socket, data) {
@@ -355,6 +523,27 @@ class SocketService {
     }
   }
 
+  // Join every live socket of a user to an issue room
+  joinIssueRoom(userId, issueId) {
+    if (!this.io) return;
+    this.io.in(`user:${userId}`).socketsJoin(`issue:${issueId}`);
+  }
+
+  leaveIssueRoom(userId, issueId) {
+    if (!this.io) return;
+    this.io.in(`user:${userId}`).socketsLeave(`issue:${issueId}`);
+  }
+
+  // Make sure every watcher of an issue is in its room
+  syncIssueRoom(issue) {
+    issue.watchers.forEach(watcher => this.joinIssueRoom(watcher.toString(), issue._id));
+  }
+
+  notifyIssue(issueId, event, data) {
+    if (!this.io) return;
+    this.io.to(`issue:${issueId}`).emit(event, data);
+  }
+
   notifyDepartment(department, event, data) {
     this.io.to(`department:${department}`).emit(event, data);
   }
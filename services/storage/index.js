@@ -0,0 +1,43 @@
+const path = require('path');
+const LocalStorage = require('./localStorage');
+const S3Storage = require('./s3Storage');
+const LocalS3Client = require('./localS3Client');
+const { STORAGE_DRIVER, UPLOAD_PATH, S3_BUCKET } = require('../../config/uploads');
+
+let storage = null;
+
+// Backends other than the active one, kept to reach files stored before a driver switch
+const others = new Map();
+
+const createStorage = (driver) => {
+  if (driver === 's3') {
+    // Swap in a real client with setStorage() when object storage is available
+    return new S3Storage({
+      client: new LocalS3Client(path.join(UPLOAD_PATH, 's3')),
+      bucket: S3_BUCKET
+    });
+  }
+  return new LocalStorage(UPLOAD_PATH);
+};
+
+// Get the active storage backend, or the named one a file was stored with
+const getStorage = (name) => {
+  if (!storage) storage = createStorage(STORAGE_DRIVER);
+  if (!name || name === storage.name) return storage;
+
+  if (!others.has(name)) others.set(name, createStorage(name));
+  return others.get(name);
+};
+
+// Plug in a different storage backend
+const setStorage = (backend) => {
+  storage = backend;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  LocalStorage,
+  S3Storage,
+  LocalS3Client
+};
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+
+// Disk-backed stand-in for an S3 client, for development without object storage
+class LocalS3Client {
+  constructor(baseDir) {
+    this.baseDir = path.resolve(baseDir);
+  }
+
+  objectPath(bucket, key) {
+    const bucketDir = path.resolve(this.baseDir, bucket);
+    const objectPath = path.resolve(bucketDir, key);
+    if (!objectPath.startsWith(bucketDir + path.sep)) {
+      throw new Error('Invalid object key');
+    }
+    return objectPath;
+  }
+
+  async putObject({ Bucket, Key, Body }) {
+    const objectPath = this.objectPath(Bucket, Key);
+    await fs.promises.mkdir(path.dirname(objectPath), { recursive: true });
+    await fs.promises.writeFile(objectPath, Body);
+    return {};
+  }
+
+  async getObject({ Bucket, Key }) {
+    const objectPath = this.objectPath(Bucket, Key);
+    try {
+      await fs.promises.access(objectPath);
+    } catch (error) {
+      const notFound = new Error('The specified key does not exist.');
+      notFound.name = 'NoSuchKey';
+      throw notFound;
+    }
+    return { Body: fs.createReadStream(objectPath) };
+  }
+
+  async deleteObject({ Bucket, Key }) {
+    try {
+      await fs.promises.unlink(this.objectPath(Bucket, Key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return {};
+  }
+}
+
+module.exports = LocalS3Client;
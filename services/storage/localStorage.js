@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores attachments on the local disk under the upload directory
+class LocalStorage {
+  constructor(baseDir) {
+    this.name = 'local';
+    this.baseDir = path.resolve(baseDir);
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.baseDir, key);
+    if (!filePath.startsWith(this.baseDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return key;
+  }
+
+  async getStream(key) {
+    const filePath = this.resolve(key);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath);
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,30 @@
+// Stores attachments through any S3-compatible client exposing
+// putObject, getObject and deleteObject (AWS SDK, MinIO or LocalS3Client)
+class S3Storage {
+  constructor({ client, bucket }) {
+    this.name = 's3';
+    this.client = client;
+    this.bucket = bucket;
+  }
+
+  async save(key, buffer, mimeType) {
+    await this.client.putObject({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: mimeType
+    });
+    return key;
+  }
+
+  async getStream(key) {
+    const object = await this.client.getObject({ Bucket: this.bucket, Key: key });
+    return object.Body;
+  }
+
+  async remove(key) {
+    await this.client.deleteObject({ Bucket: this.bucket, Key: key });
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,198 @@
+const Issue = require('../models/Issue');
+const TriageModel = require('../models/TriageModel');
+const { tokenize } = require('../utils/textSimilarity');
+const { createClassifier, addDocument, prune, classify } = require('../utils/naiveBayes');
+const {
+  TRIAGE_MIN_CONFIDENCE,
+  TRIAGE_SKILL_THRESHOLD,
+  TRIAGE_MAX_SKILLS,
+  TRIAGE_MIN_SAMPLES,
+  TRIAGE_RELOAD_INTERVAL_MS
+} = require('../config/triage');
+
+// Alternatives listed next to each suggestion in the preview
+const MAX_ALTERNATIVES = 3;
+
+const roundProbability = (probability) => Math.round(probability * 1000) / 1000;
+
+const issueTokens = (issue) => tokenize(`${issue.title || ''} ${issue.description || ''}`);
+
+class TriageService {
+  constructor() {
+    this.model = null;
+    this.loadedAt = 0;
+  }
+
+  // Learn category, priority, urgency and skills from finished issues. Their
+  // labels have been through a helper's hands, so they're the most trustworthy.
+  async train() {
+    const classifiers = {
+      category: createClassifier(),
+      priority: createClassifier(),
+      isUrgent: createClassifier(),
+      requiredSkills: createClassifier()
+    };
+
+    // Skills are matched case-insensitively but shown in their most common spelling
+    const spellings = new Map();
+    let sampleCount = 0;
+
+    const cursor = Issue.find({
+      status: { $in: ['resolved', 'closed'] },
+      mergedInto: null
+    })
+      .select('title description category priority isUrgent requiredSkills')
+      .lean()
+      .cursor();
+
+    for await (const issue of cursor) {
+      const tokens = issueTokens(issue);
+      if (tokens.length === 0) continue;
+      sampleCount += 1;
+
+      // "other" is what people pick when unsure, so it teaches nothing
+      if (issue.category !== 'other') addDocument(classifiers.category, tokens, issue.category);
+      addDocument(classifiers.priority, tokens, issue.priority);
+      addDocument(classifiers.isUrgent, tokens, Boolean(issue.isUrgent));
+
+      new Set((issue.requiredSkills || []).map(skill => skill.trim()).filter(Boolean)).forEach(skill => {
+        const key = skill.toLowerCase();
+        if (!spellings.has(key)) spellings.set(key, new Map());
+        const counts = spellings.get(key);
+        counts.set(skill, (counts.get(skill) || 0) + 1);
+
+        addDocument(classifiers.requiredSkills, tokens, key);
+      });
+    }
+
+    prune(classifiers.category, { minTokenCount: 2 });
+    prune(classifiers.priority, { minTokenCount: 2 });
+    prune(classifiers.isUrgent, { minTokenCount: 2 });
+    prune(classifiers.requiredSkills, { minClassDocs: 2, minTokenCount: 2 });
+
+    classifiers.requiredSkills.classes.forEach(entry => {
+      const counts = [...spellings.get(entry.label).entries()];
+      entry.label = counts.sort((a, b) => b[1] - a[1])[0][0];
+    });
+
+    const model = await TriageModel.findOneAndUpdate(
+      { name: 'issues' },
+      { trainedAt: new Date(), sampleCount, classifiers },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    this.model = model;
+    this.loadedAt = Date.now();
+
+    return model;
+  }
+
+  // Latest trained model, reloaded now and then in case it was retrained elsewhere
+  async getModel() {
+    if (!this.model || Date.now() - this.loadedAt > TRIAGE_RELOAD_INTERVAL_MS) {
+      this.model = await TriageModel.findOne({ name: 'issues' }).lean();
+      this.loadedAt = Date.now();
+    }
+
+    return this.model;
+  }
+
+  // Single-label prediction with its closest alternatives
+  predict(classifier, tokens) {
+    if (!classifier || classifier.docs < TRIAGE_MIN_SAMPLES) return null;
+
+    const ranked = classify(classifier, tokens);
+    if (ranked.length === 0) return null;
+
+    return {
+      value: ranked[0].label,
+      confidence: roundProbability(ranked[0].probability),
+      alternatives: ranked.slice(1, 1 + MAX_ALTERNATIVES).map(entry => ({
+        value: entry.label,
+        confidence: roundProbability(entry.probability)
+      }))
+    };
+  }
+
+  predictSkills(classifier, tokens) {
+    if (!classifier || classifier.docs < TRIAGE_MIN_SAMPLES) return [];
+
+    return classify(classifier, tokens)
+      .filter(entry => entry.probability >= TRIAGE_SKILL_THRESHOLD)
+      .slice(0, TRIAGE_MAX_SKILLS)
+      .map(entry => ({ value: entry.label, confidence: roundProbability(entry.probability) }));
+  }
+
+  /**
+   * Suggest triage fields for a draft issue.
+   *
+   * @param {{title: string, description: string}} draft
+   * @returns {Promise<Object|null>} suggestions, or null when no model has been trained
+   */
+  async suggest(draft) {
+    const model = await this.getModel();
+    if (!model) return null;
+
+    const tokens = issueTokens(draft);
+    const { classifiers } = model;
+
+    return {
+      category: this.predict(classifiers.category, tokens),
+      priority: this.predict(classifiers.priority, tokens),
+      isUrgent: this.predict(classifiers.isUrgent, tokens),
+      requiredSkills: this.predictSkills(classifiers.requiredSkills, tokens),
+      model: {
+        trainedAt: model.trainedAt,
+        sampleCount: model.sampleCount
+      }
+    };
+  }
+
+  /**
+   * Fill in the fields a poster left vague with confident suggestions.
+   * Category only replaces "other", priority only a missing one, skills are
+   * added to the poster's own and urgency is only ever switched on.
+   *
+   * @param {Object} data - validated issue fields, updated in place
+   * @param {Object} suggestions - result of suggest()
+   * @param {(category: string) => Promise<boolean>} canUseCategory - whether a category may be chosen
+   * @returns {Promise<Array<{field: string, from: *, to: *}>>} the changes made
+   */
+  async apply(data, suggestions, canUseCategory = async () => true) {
+    const changes = [];
+    if (!suggestions) return changes;
+
+    const confident = (suggestion) => suggestion && suggestion.confidence >= TRIAGE_MIN_CONFIDENCE;
+
+    if (data.category === 'other' && confident(suggestions.category) &&
+        await canUseCategory(suggestions.category.value)) {
+      changes.push({ field: 'category', from: data.category, to: suggestions.category.value });
+      data.category = suggestions.category.value;
+    }
+
+    if (!data.priority && confident(suggestions.priority)) {
+      changes.push({ field: 'priority', from: null, to: suggestions.priority.value });
+      data.priority = suggestions.priority.value;
+    }
+
+    if (!data.isUrgent && confident(suggestions.isUrgent) && suggestions.isUrgent.value === true) {
+      changes.push({ field: 'isUrgent', from: false, to: true });
+      data.isUrgent = true;
+    }
+
+    const skills = data.requiredSkills || [];
+    const known = new Set(skills.map(skill => skill.toLowerCase()));
+    const added = suggestions.requiredSkills
+      .filter(skill => !known.has(skill.value.toLowerCase()))
+      .map(skill => skill.value);
+
+    if (added.length > 0) {
+      changes.push({ field: 'requiredSkills', from: skills, to: [...skills, ...added] });
+      data.requiredSkills = [...skills, ...added];
+    }
+
+    return changes;
+  }
+}
+
+module.exports = new TriageService();
@@ -0,0 +1,95 @@
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const SavedView = require('../models/SavedView');
+const socketService = require('./socketService');
+const { VIEW_COUNT_INTERVAL_MS } = require('../config/views');
+
+class ViewCountService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.fingerprint = null;
+    this.lastSent = new Map(); // userId -> serialized counts
+  }
+
+  start(intervalMs = VIEW_COUNT_INTERVAL_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.refresh();
+    }, intervalMs);
+
+    // Don't keep the process alive just for the counters
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Count matching issues for every view a user can see
+  async countsFor(user) {
+    const views = await SavedView.accessibleBy(user).sort({ name: 1 });
+
+    return Promise.all(views.map(async (view) => ({
+      view: view._id,
+      name: view.name,
+      count: await Issue.countDocuments(view.buildFilter(user))
+    })));
+  }
+
+  // Cheap signature that changes whenever an issue is created, edited or deleted
+  async getFingerprint() {
+    const [total, latest] = await Promise.all([
+      Issue.estimatedDocumentCount(),
+      Issue.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean()
+    ]);
+
+    return `${total}:${latest ? latest.updatedAt.getTime() : 0}`;
+  }
+
+  // Push fresh counts to connected users when issues have changed
+  async refresh({ force = false } = {}) {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const fingerprint = await this.getFingerprint();
+      if (!force && fingerprint === this.fingerprint) return;
+      this.fingerprint = fingerprint;
+
+      const userIds = socketService.getConnectedUsers();
+
+      // Forget users who have disconnected
+      for (const userId of this.lastSent.keys()) {
+        if (!userIds.includes(userId)) this.lastSent.delete(userId);
+      }
+
+      const users = await User.find({ _id: { $in: userIds } }).select('department');
+
+      for (const user of users) {
+        const counts = await this.countsFor(user);
+        const userId = user._id.toString();
+        const serialized = JSON.stringify(counts);
+
+        // Only emit counts that actually moved
+        if (this.lastSent.get(userId) === serialized) continue;
+        this.lastSent.set(userId, serialized);
+
+        socketService.notifyUser(userId, 'views:counts', {
+          counts,
+          timestamp: new Date()
+        });
+      }
+    } catch (error) {
+      console.error('Error refreshing saved view counts:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new ViewCountService();
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const WorkLog = require('../models/WorkLog');
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { MAX_TIMER_MINUTES } = require('../config/worklogs');
+
+class WorkLogService {
+  // Recompute users' totalTimeHelped from their work logs
+  async syncUserTotals(userIds) {
+    const ids = [...new Set(userIds.map(id => id.toString()))];
+    if (ids.length === 0) return;
+
+    const totals = await WorkLog.totalsByUser({
+      user: { $in: ids.map(id => new mongoose.Types.ObjectId(id)) }
+    });
+    const byUser = new Map(totals.map(total => [total._id.toString(), total.minutes]));
+
+    await Promise.all(ids.map(id => User.updateOne(
+      { _id: id },
+      { 'contributions.totalTimeHelped': byUser.get(id) || 0 }
+    )));
+  }
+
+  // Total minutes logged on an issue by everyone
+  async getIssueTotal(issueId) {
+    const totals = await WorkLog.totalsByUser({ issue: new mongoose.Types.ObjectId(issueId.toString()) });
+    return totals.reduce((sum, total) => sum + total.minutes, 0);
+  }
+
+  // Logged time feeds helper stats, so only people working the issue may add to it:
+  // the assignee, its collaborators and admins
+  assertCanLog(issue, user) {
+    if (issue.isWorkingOn(user) || user.role === 'admin') return;
+
+    throw new ErrorResponse('Only the assignee and collaborators on this issue can log time on it', 403);
+  }
+
+  // Keep a finished issue's recorded time in line with its logs after they change
+  async syncResolvedTime(issueId) {
+    await Issue.updateOne(
+      { _id: issueId, status: { $in: ['resolved', 'closed'] } },
+      { 'resolution.timeSpent': await this.getIssueTotal(issueId) }
+    );
+  }
+
+  async getRunningTimer(userId) {
+    return WorkLog.findOne({ user: userId, isRunning: true });
+  }
+
+  // Start a timer on an issue, stopping whatever the user was timing before
+  async startTimer(issue, user, note) {
+    if (['resolved', 'closed'].includes(issue.status)) {
+      throw new ErrorResponse('Cannot log time on resolved or closed issues', 400);
+    }
+
+    this.assertCanLog(issue, user);
+
+    const running = await this.getRunningTimer(user._id);
+    if (running && running.issue.equals(issue._id)) {
+      throw new ErrorResponse('A timer is already running on this issue', 400);
+    }
+
+    let stopped = null;
+    if (running) {
+      running.stop(MAX_TIMER_MINUTES);
+      await running.save();
+      stopped = running;
+    }
+
+    const timer = await WorkLog.create({
+      issue: issue._id,
+      user: user._id,
+      category: issue.category,
+      source: 'timer',
+      startedAt: new Date(),
+      isRunning: true,
+      note
+    });
+
+    if (stopped) await this.syncUserTotals([user._id]);
+
+    return { timer, stopped };
+  }
+
+  // Stop the user's running timer on an issue
+  async stopTimer(issueId, user, note) {
+    const timer = await WorkLog.findOne({ issue: issueId, user: user._id, isRunning: true });
+
+    if (!timer) {
+      throw new ErrorResponse('No timer is running on this issue', 400);
+    }
+
+    timer.stop(MAX_TIMER_MINUTES, note);
+    await timer.save();
+    await this.syncUserTotals([user._id]);
+
+    return timer;
+  }
+
+  // Record time worked without a timer
+  async addManual(issue, user, { minutes, startedAt, note }) {
+    if (issue.status === 'closed') {
+      throw new ErrorResponse('Cannot log time on closed issues', 400);
+    }
+
+    this.assertCanLog(issue, user);
+
+    const start = startedAt || new Date(Date.now() - minutes * 60 * 1000);
+    const entry = await WorkLog.create({
+      issue: issue._id,
+      user: user._id,
+      category: issue.category,
+      source: 'manual',
+      startedAt: start,
+      endedAt: new Date(start.getTime() + minutes * 60 * 1000),
+      minutes,
+      note
+    });
+
+    await this.syncUserTotals([user._id]);
+    if (issue.status === 'resolved') await this.syncResolvedTime(issue._id);
+
+    return entry;
+  }
+
+  async remove(entry) {
+    await entry.deleteOne();
+    await this.syncUserTotals([entry.user]);
+    await this.syncResolvedTime(entry.issue);
+  }
+
+  // Stop every timer on a resolved issue and store the logged total on it
+  async handleResolved(issue) {
+    const running = await WorkLog.find({ issue: issue._id, isRunning: true });
+
+    for (const timer of running) {
+      timer.stop(MAX_TIMER_MINUTES, 'Stopped when the issue was resolved');
+      await timer.save();
+    }
+
+    issue.resolution.timeSpent = await this.getIssueTotal(issue._id);
+    await issue.save();
+
+    await this.syncUserTotals(running.map(timer => timer.user));
+  }
+
+  // Drop the logs of a deleted issue and take its minutes off the helpers' totals
+  async handleDeleted(issue) {
+    const userIds = await WorkLog.distinct('user', { issue: issue._id });
+    if (userIds.length === 0) return;
+
+    await WorkLog.deleteMany({ issue: issue._id });
+    await this.syncUserTotals(userIds);
+  }
+
+  // Logged minutes grouped by user or category, optionally within a date range
+  async getReport({ groupBy, from, to, userId, category }) {
+    const match = { isRunning: false };
+    if (userId) match.user = new mongoose.Types.ObjectId(userId);
+    if (category) match.category = category;
+    if (from || to) {
+      match.startedAt = {};
+      if (from) match.startedAt.$gte = from;
+      if (to) match.startedAt.$lte = to;
+    }
+
+    const rows = await WorkLog.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: groupBy === 'user' ? '$user' : '$category',
+          minutes: { $sum: '$minutes' },
+          entries: { $sum: 1 },
+          issues: { $addToSet: '$issue' }
+        }
+      },
+      { $project: { minutes: 1, entries: 1, issueCount: { $size: '$issues' } } },
+      { $sort: { minutes: -1 } }
+    ]);
+
+    if (groupBy === 'user') {
+      const users = await User.find({ _id: { $in: rows.map(row => row._id) } })
+        .select('firstName lastName employeeId department');
+      const byId = new Map(users.map(user => [user._id.toString(), user]));
+
+      return rows.map(row => ({ ...row, user: byId.get(row._id.toString()) || null }));
+    }
+
+    return rows;
+  }
+}
+
+module.exports = new WorkLogService();
@@ -0,0 +1,68 @@
+const connectDB = require('../config/database');
+const Issue = require('../models/Issue');
+const WorkLog = require('../models/WorkLog');
+const workLogService = require('../services/workLogService');
+
+const MINUTE_MS = 60 * 1000;
+
+// Turn time recorded on resolutions before work logs existed into manual entries,
+// so helpers keep their totalTimeHelped. Issues that already have logs are skipped,
+// which makes the script safe to run more than once.
+const backfillWorkLogs = async () => {
+  try {
+    await connectDB();
+
+    console.log('⏱️  Backfilling work logs from resolution time...');
+
+    const cursor = Issue.find({
+      'resolution.timeSpent': { $gt: 0 },
+      'resolution.resolvedBy': { $ne: null }
+    })
+      .select('category resolution createdAt')
+      .cursor();
+
+    const users = new Set();
+    let created = 0;
+    let skipped = 0;
+
+    for await (const issue of cursor) {
+      if (await WorkLog.exists({ issue: issue._id })) {
+        skipped += 1;
+        continue;
+      }
+
+      const { resolvedBy, resolvedAt, timeSpent } = issue.resolution;
+      const endedAt = resolvedAt || issue.createdAt;
+
+      await WorkLog.create({
+        issue: issue._id,
+        user: resolvedBy,
+        category: issue.category,
+        source: 'manual',
+        startedAt: new Date(endedAt.getTime() - timeSpent * MINUTE_MS),
+        endedAt,
+        minutes: timeSpent,
+        note: 'Imported from the resolution time'
+      });
+
+      users.add(resolvedBy.toString());
+      created += 1;
+    }
+
+    await workLogService.syncUserTotals([...users]);
+
+    console.log(`✅ Created ${created} entries for ${users.size} helpers, skipped ${skipped} issues with logs`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling work logs:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  backfillWorkLogs();
+}
+
+module.exports = { backfillWorkLogs };
@@ -0,0 +1,118 @@
+const { getZonedParts, zonedTimeToDate } = require('./timezone');
+
+// Five-field cron expressions: minute hour day-of-month month day-of-week
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const MINUTE_MS = 60 * 1000;
+
+// Give up looking for a next run after this many steps (about four years of days)
+const MAX_STEPS = 5000;
+
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid ${name} "${part}"`);
+
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : Number(start);
+    const to = range === '*' ? max : (end !== undefined ? Number(end) : (step ? max : from));
+    const increment = step ? Number(step) : 1;
+
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`Invalid ${name} "${part}"`);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parse a cron expression into the allowed values of each field.
+ * Throws an Error describing the first invalid field.
+ */
+const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expressions need five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Standard cron: when both day fields are restricted, either may match
+    dayRestricted: parts[2] !== '*',
+    weekdayRestricted: parts[4] !== '*'
+  };
+};
+
+const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const matchesDay = (schedule, parts) => {
+  const dayMatch = schedule.days.has(parts.day);
+  const weekdayMatch = schedule.weekdays.has(parts.weekday);
+
+  if (schedule.dayRestricted && schedule.weekdayRestricted) return dayMatch || weekdayMatch;
+  if (schedule.dayRestricted) return dayMatch;
+  if (schedule.weekdayRestricted) return weekdayMatch;
+  return true;
+};
+
+/**
+ * Find the first time strictly after `after` that matches the expression,
+ * evaluated on the wall clock of `timeZone`. Returns null if none is found.
+ */
+const nextCronRun = (expression, after = new Date(), timeZone = 'UTC') => {
+  const schedule = parseCron(expression);
+
+  // Start at the next whole minute
+  let candidate = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    const parts = getZonedParts(candidate, timeZone);
+
+    if (!schedule.months.has(parts.month) || !matchesDay(schedule, parts)) {
+      // Jump to the next local midnight; days around a DST change aren't 24 hours long
+      const midnight = zonedTimeToDate({ year: parts.year, month: parts.month, day: parts.day + 1 }, timeZone);
+      candidate = midnight > candidate ? midnight : new Date(candidate.getTime() + 60 * MINUTE_MS);
+    } else if (!schedule.hours.has(parts.hour)) {
+      candidate = new Date(candidate.getTime() + (60 - parts.minute) * MINUTE_MS);
+    } else if (!schedule.minutes.has(parts.minute)) {
+      candidate = new Date(candidate.getTime() + MINUTE_MS);
+    } else {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  nextCronRun
+};
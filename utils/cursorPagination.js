@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const ErrorResponse = require('./errorResponse');
+
+const MAX_LIMIT = 100;
+
+// Counts past this many matches are reported as an estimate
+const COUNT_LIMIT = 10000;
+
+// Serialize sort values so dates survive the round trip through JSON
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value === undefined) return null;
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object' && typeof value.$date === 'string') {
+    const date = new Date(value.$date);
+    if (isNaN(date.getTime())) throw new Error('Invalid date');
+    return date;
+  }
+  if (value !== null && typeof value === 'object') throw new Error('Invalid cursor value');
+  return value;
+};
+
+// Stable signature of a sort so a cursor can't be reused with another ordering
+const sortSignature = (fields) => fields.map(([field, order]) => `${field}:${order}`).join(',');
+
+// Documents or plain aggregation rows
+const readField = (doc, field) => (typeof doc.get === 'function' ? doc.get(field) : doc[field]);
+
+const encodeCursor = (doc, fields, direction) => Buffer.from(JSON.stringify({
+  s: sortSignature(fields),
+  d: direction,
+  v: fields.map(([field]) => encodeValue(readField(doc, field))),
+  id: doc._id.toString()
+})).toString('base64url');
+
+const decodeCursor = (cursor, fields) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (parsed.s !== sortSignature(fields)) {
+      throw new Error('Cursor was created for a different sort order');
+    }
+    if (!['next', 'prev'].includes(parsed.d) || !Array.isArray(parsed.v) ||
+        parsed.v.length !== fields.length || !mongoose.isValidObjectId(parsed.id)) {
+      throw new Error('Malformed cursor');
+    }
+
+    return {
+      direction: parsed.d,
+      values: parsed.v.map(decodeValue),
+      id: new mongoose.Types.ObjectId(parsed.id)
+    };
+  } catch (error) {
+    throw new ErrorResponse(`Invalid cursor: ${error.message}`, 400);
+  }
+};
+
+// Condition for "field comes after value" in the given order. MongoDB sorts
+// null and missing values before everything else, so they need special cases.
+const after = (field, value, order) => {
+  if (order === 1) {
+    return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+  }
+  return value === null ? null : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Keyset condition selecting documents strictly after the cursor position
+const buildKeysetFilter = (fields, values, id, idOrder) => {
+  const branches = [];
+
+  fields.forEach(([field, order], index) => {
+    const condition = after(field, values[index], order);
+    if (!condition) return;
+
+    const equalities = fields.slice(0, index).map(([prevField], prevIndex) => ({ [prevField]: values[prevIndex] }));
+    branches.push({ $and: [...equalities, condition] });
+  });
+
+  // Ties on every sort field fall back to _id
+  branches.push({
+    $and: [
+      ...fields.map(([field], index) => ({ [field]: values[index] })),
+      { _id: idOrder === 1 ? { $gt: id } : { $lt: id } }
+    ]
+  });
+
+  return { $or: branches };
+};
+
+// Count matches, bailing out early on very large result sets
+const approximateCount = async (Model, filter) => {
+  if (Object.keys(filter).length === 0) {
+    return { total: await Model.estimatedDocumentCount(), totalIsEstimate: true };
+  }
+
+  const total = await Model.countDocuments(filter, { limit: COUNT_LIMIT });
+  return { total, totalIsEstimate: total >= COUNT_LIMIT };
+};
+
+/**
+ * Page through a collection with opaque cursors keyed on the sort fields plus _id.
+ *
+ * @param {mongoose.Model} Model - model to query
+ * @param {Object} filter - Mongo filter for the listing
+ * @param {Object} sort - ordered sort, e.g. { createdAt: -1 } (_id is appended)
+ * @param {Object} options - { cursor, limit, withCount, prepare(query) for populate/select }
+ * @returns {Promise<{data: Array, pagination: Object}>}
+ */
+const paginate = async (Model, filter, sort, options = {}) => {
+  const { cursor, withCount = false, prepare = query => query } = options;
+  const limit = Math.min(Math.max(parseInt(options.limit) || 10, 1), MAX_LIMIT);
+
+  const fields = Object.entries(sort).filter(([field]) => field !== '_id');
+
+  // Ties on every sort field fall back to _id, ordered like the primary field
+  const idOrder = fields.length ? fields[0][1] : 1;
+
+  const position = cursor ? decodeCursor(cursor, fields) : null;
+  const backwards = position ? position.direction === 'prev' : false;
+
+  // Walk the index in reverse for previous pages, then flip the results back
+  const walkOrder = fields.map(([field, order]) => [field, backwards ? -order : order]);
+  const idWalkOrder = backwards ? -idOrder : idOrder;
+  const querySort = Object.fromEntries([...walkOrder, ['_id', idWalkOrder]]);
+
+  const query = position
+    ? { $and: [filter, buildKeysetFilter(walkOrder, position.values, position.id, idWalkOrder)] }
+    : filter;
+
+  const docs = await prepare(Model.find(query))
+    .sort(querySort)
+    .limit(limit + 1);
+
+  const hasMore = docs.length > limit;
+  const data = docs.slice(0, limit);
+  if (backwards) data.reverse();
+
+  const first = data[0];
+  const last = data[data.length - 1];
+
+  const pagination = {
+    limit,
+    nextCursor: last && (backwards || hasMore) ? encodeCursor(last, fields, 'next') : null,
+    prevCursor: first && (backwards ? hasMore : Boolean(position)) ? encodeCursor(first, fields, 'prev') : null
+  };
+
+  if (withCount) {
+    Object.assign(pagination, await approximateCount(Model, filter));
+  }
+
+  return { data, pagination };
+};
+
+/**
+ * Page through full-text matches by relevance with the same cursors as paginate.
+ * The text score can only be compared once it is projected, so ranking runs as
+ * an aggregation keyed on score plus _id and the page is loaded afterwards.
+ *
+ * @param {mongoose.Model} Model - model with a text index
+ * @param {Object} filter - Mongo filter including a $text condition
+ * @param {Object} options - { cursor, limit, withCount, prepare(query) for populate/select }
+ * @returns {Promise<{data: Array<{doc: Object, score: number}>, pagination: Object}>}
+ */
+const paginateTextSearch = async (Model, filter, options = {}) => {
+  const { cursor, withCount = false, prepare = query => query } = options;
+  const limit = Math.min(Math.max(parseInt(options.limit) || 10, 1), MAX_LIMIT);
+
+  const fields = [['score', -1]];
+  const position = cursor ? decodeCursor(cursor, fields) : null;
+  const backwards = position ? position.direction === 'prev' : false;
+
+  const walkOrder = fields.map(([field, order]) => [field, backwards ? -order : order]);
+  const idWalkOrder = backwards ? 1 : -1;
+
+  // Aggregations skip schema casting, so cast ids and dates up front
+  const match = Model.where(filter).cast(Model);
+
+  const pipeline = [
+    { $match: match },
+    { $project: { score: { $meta: 'textScore' } } }
+  ];
+  if (position) {
+    pipeline.push({ $match: buildKeysetFilter(walkOrder, position.values, position.id, idWalkOrder) });
+  }
+  pipeline.push(
+    { $sort: Object.fromEntries([...walkOrder, ['_id', idWalkOrder]]) },
+    { $limit: limit + 1 }
+  );
+
+  const ranked = await Model.aggregate(pipeline);
+
+  const hasMore = ranked.length > limit;
+  const rows = ranked.slice(0, limit);
+  if (backwards) rows.reverse();
+
+  const docs = await prepare(Model.find({ _id: { $in: rows.map(row => row._id) } }));
+  const byId = new Map(docs.map(doc => [doc._id.toString(), doc]));
+
+  // Issues deleted between the two queries drop out of the page
+  const data = rows
+    .filter(row => byId.has(row._id.toString()))
+    .map(row => ({ doc: byId.get(row._id.toString()), score: row.score }));
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+
+  const pagination = {
+    limit,
+    nextCursor: last && (backwards || hasMore) ? encodeCursor(last, fields, 'next') : null,
+    prevCursor: first && (backwards ? hasMore : Boolean(position)) ? encodeCursor(first, fields, 'prev') : null
+  };
+
+  if (withCount) {
+    Object.assign(pagination, await approximateCount(Model, filter));
+  }
+
+  return { data, pagination };
+};
+
+module.exports = {
+  paginate,
+  paginateTextSearch
+};
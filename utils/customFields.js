@@ -0,0 +1,66 @@
+const { z } = require('zod');
+
+// Validator for a single custom field value, by field type
+const fieldValueSchema = (field) => {
+  const required_error = `${field.label} is required`;
+
+  switch (field.type) {
+    case 'number':
+      return z.number({ required_error, invalid_type_error: `${field.label} must be a number` });
+    case 'boolean':
+      return z.boolean({ required_error, invalid_type_error: `${field.label} must be true or false` });
+    case 'date':
+      return z.coerce.date({ required_error, invalid_type_error: `${field.label} must be a date` });
+    case 'select':
+      return z.enum(field.options, {
+        errorMap: (issue, ctx) => ({
+          message: ctx.data === undefined
+            ? required_error
+            : `${field.label} must be one of: ${field.options.join(', ')}`
+        })
+      });
+    default:
+      return z.string({ required_error }).trim().min(1, required_error).max(500);
+  }
+};
+
+// Build the validator for an issue's custom fields from its category template.
+// Without a template no custom fields are accepted.
+const buildCustomFieldsSchema = (template) => {
+  const shape = {};
+
+  (template ? template.fields : []).forEach(field => {
+    const schema = fieldValueSchema(field);
+    shape[field.key] = field.required
+      ? schema
+      : schema.optional();
+  });
+
+  const schema = z.object(shape, {
+    required_error: 'Custom fields are required for this category'
+  }).strict();
+
+  // Required fields make the whole object required
+  return template && template.fields.some(field => field.required)
+    ? schema
+    : schema.optional();
+};
+
+// ISO dates as date fields accept them, e.g. 2026-03-01 or 2026-03-01T09:30:00Z
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// Convert a query string value into the candidates it could have been stored as
+const parseFilterValue = (value) => {
+  const candidates = [value];
+
+  if (value === 'true' || value === 'false') candidates.push(value === 'true');
+  if (value.trim() !== '' && !isNaN(Number(value))) candidates.push(Number(value));
+  if (ISO_DATE_PATTERN.test(value) && !isNaN(Date.parse(value))) candidates.push(new Date(value));
+
+  return candidates;
+};
+
+module.exports = {
+  buildCustomFieldsSchema,
+  parseFilterValue
+};
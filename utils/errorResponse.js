@@ -0,0 +1,9 @@
+// Error carrying an HTTP status code, picked up by the error handler middleware
+class ErrorResponse extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = ErrorResponse;
@@ -0,0 +1,4 @@
+// Escape user input before building a RegExp from it
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
@@ -0,0 +1,63 @@
+const { tokenize } = require('./textSimilarity');
+
+const SNIPPET_RADIUS = 60;
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+// Snippets are meant to be rendered as HTML, so user text is escaped around the marks
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+// Wrap words of `text` that match the query terms, trimmed to a snippet around the first match
+const highlight = (text, queryTerms, { open = '<mark>', close = '</mark>' } = {}) => {
+  if (!text || queryTerms.size === 0) return null;
+
+  const wordPattern = /[A-Za-z0-9]+/g;
+  const matches = [];
+  let match;
+
+  while ((match = wordPattern.exec(text)) !== null) {
+    const [term] = tokenize(match[0]);
+    if (term && queryTerms.has(term)) {
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  if (matches.length === 0) return null;
+
+  const start = Math.max(0, matches[0].start - SNIPPET_RADIUS);
+  const end = Math.min(text.length, matches[0].end + SNIPPET_RADIUS * 2);
+
+  let snippet = '';
+  let cursor = start;
+  matches
+    .filter(m => m.start >= start && m.end <= end)
+    .forEach(m => {
+      snippet += escapeHtml(text.slice(cursor, m.start)) + open + escapeHtml(text.slice(m.start, m.end)) + close;
+      cursor = m.end;
+    });
+  snippet += escapeHtml(text.slice(cursor, end));
+
+  return `${start > 0 ? '…' : ''}${snippet.trim()}${end < text.length ? '…' : ''}`;
+};
+
+// Build highlighted snippets for every field of a document that matches the query
+const buildHighlights = (fields, query) => {
+  const queryTerms = new Set(tokenize(query));
+
+  return fields.reduce((highlights, { field, text }) => {
+    const snippet = highlight(text, queryTerms);
+    if (snippet) highlights.push({ field, snippet });
+    return highlights;
+  }, []);
+};
+
+module.exports = {
+  highlight,
+  buildHighlights
+};
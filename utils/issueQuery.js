@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const { z } = require('zod');
+const ErrorResponse = require('./errorResponse');
+const escapeRegex = require('./escapeRegex');
+const { parseFilterValue } = require('./customFields');
+
+const STATUSES = ['open', 'assigned', 'in_progress', 'resolved', 'closed'];
+const CATEGORIES = ['hardware', 'software', 'network', 'printer', 'email', 'access', 'other'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const SLA_STATES = ['on_track', 'at_risk', 'breached', 'met'];
+
+// Public sort names and the issue paths they sort on
+const SORT_KEYS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  resolvedAt: 'resolution.resolvedAt',
+  priority: 'priority',
+  status: 'status',
+  title: 'title',
+  estimatedTime: 'estimatedTime',
+  slaDue: 'sla.resolutionDueAt',
+  responseDue: 'sla.responseDueAt'
+};
+
+// Fields issue listings can be sorted by
+const SORT_FIELDS = Object.keys(SORT_KEYS);
+
+// Comma-separated list of values, e.g. status=open,assigned
+const list = (item) => z.string()
+  .transform(value => value.split(',').map(part => part.trim()).filter(Boolean))
+  .pipe(z.array(item).min(1));
+
+const objectId = z.string().refine(value => mongoose.isValidObjectId(value), { message: 'Invalid user id' });
+
+const date = (name) => z.string().refine(value => !isNaN(Date.parse(value)), {
+  message: `${name} must be a valid date`
+}).transform(value => new Date(value));
+
+const number = (name) => z.string().refine(value => value.trim() !== '' && !isNaN(Number(value)), {
+  message: `${name} must be a number`
+}).transform(Number);
+
+// Grammar for issue filters given as query parameters
+const issueFilterSchema = z.object({
+  status: list(z.enum(STATUSES)),
+  category: list(z.enum(CATEGORIES)),
+  priority: list(z.enum(PRIORITIES)),
+  slaState: list(z.enum(SLA_STATES)),
+  postedBy: list(objectId),
+  assignedTo: list(objectId),
+  excludePostedBy: objectId,
+  unassigned: z.enum(['true', 'false']),
+  tags: list(z.string().max(50)),
+  requiredSkills: list(z.string().max(50)),
+  building: z.string().trim().min(1).max(100),
+  floor: z.string().trim().min(1).max(20),
+  createdAfter: date('createdAfter'),
+  createdBefore: date('createdBefore'),
+  updatedAfter: date('updatedAfter'),
+  updatedBefore: date('updatedBefore'),
+  resolvedAfter: date('resolvedAfter'),
+  resolvedBefore: date('resolvedBefore'),
+  minVotes: number('minVotes'),
+  maxVotes: number('maxVotes'),
+  minEstimatedTime: number('minEstimatedTime'),
+  maxEstimatedTime: number('maxEstimatedTime')
+}).partial();
+
+// Query parameters accepted as issue filters
+const FILTER_KEYS = Object.keys(issueFilterSchema.shape);
+
+// Custom field filters are written cf.<fieldKey>, e.g. cf.errorCode=E-01
+const CUSTOM_FIELD_PATTERN = /^cf\.([a-zA-Z][a-zA-Z0-9_]{0,39})$/;
+
+const isFilterKey = (key) => FILTER_KEYS.includes(key) || CUSTOM_FIELD_PATTERN.test(key);
+
+// Repeated parameters arrive as arrays and bracket syntax (status[$ne]=x) as
+// objects. Arrays are joined into a list, anything else is refused.
+const normalizeFilterInput = (query) => {
+  const input = {};
+
+  Object.keys(query).filter(isFilterKey).forEach(key => {
+    const value = query[key];
+    if (value === undefined || value === '') return;
+
+    if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+      input[key] = value.join(',');
+    } else if (typeof value === 'string') {
+      input[key] = value;
+    } else {
+      throw new ErrorResponse(`Unsupported value for filter "${key}"`, 400);
+    }
+  });
+
+  return input;
+};
+
+const range = (min, max) => {
+  const condition = {};
+  if (min !== undefined) condition.$gte = min;
+  if (max !== undefined) condition.$lte = max;
+  return Object.keys(condition).length ? condition : null;
+};
+
+const inList = (values) => (values.length === 1 ? values[0] : { $in: values });
+
+// Exact, case-insensitive match for free-text location fields
+const exactText = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+
+// Build the issue listing filter from query parameters
+const buildIssueFilter = (query) => {
+  const input = normalizeFilterInput(query);
+  const params = issueFilterSchema.parse(input);
+
+  const filter = {};
+  const conditions = [];
+
+  if (params.status) filter.status = inList(params.status);
+  if (params.category) filter.category = inList(params.category);
+  if (params.priority) filter.priority = inList(params.priority);
+  if (params.slaState) filter['sla.state'] = { $in: params.slaState };
+  if (params.postedBy) filter.postedBy = inList(params.postedBy);
+  if (params.tags) filter.tags = { $in: params.tags };
+  if (params.requiredSkills) filter.requiredSkills = { $in: params.requiredSkills.map(exactText) };
+  if (params.building) filter['location.building'] = exactText(params.building);
+  if (params.floor) filter['location.floor'] = exactText(params.floor);
+
+  if (params.unassigned === 'true') {
+    if (params.assignedTo) {
+      throw new ErrorResponse('assignedTo cannot be combined with unassigned=true', 400);
+    }
+    filter.assignedTo = null;
+  } else if (params.assignedTo) {
+    filter.assignedTo = inList(params.assignedTo);
+  } else if (params.unassigned === 'false') {
+    filter.assignedTo = { $ne: null };
+  }
+
+  // Exclude current user's issues from "All Issues" page
+  if (params.excludePostedBy) {
+    if (params.postedBy) {
+      throw new ErrorResponse('postedBy cannot be combined with excludePostedBy', 400);
+    }
+    filter.postedBy = { $ne: params.excludePostedBy };
+  }
+
+  const created = range(params.createdAfter, params.createdBefore);
+  if (created) filter.createdAt = created;
+
+  const updated = range(params.updatedAfter, params.updatedBefore);
+  if (updated) filter.updatedAt = updated;
+
+  // Issues are resolved by a helper or marked solved by their owner
+  const resolved = range(params.resolvedAfter, params.resolvedBefore);
+  if (resolved) {
+    conditions.push({
+      $or: [
+        { 'resolution.resolvedAt': resolved },
+        { 'resolution.solvedAt': resolved }
+      ]
+    });
+  }
+
+  const estimated = range(params.minEstimatedTime, params.maxEstimatedTime);
+  if (estimated) filter.estimatedTime = estimated;
+
+  // Vote count is a virtual (upvotes - downvotes), so compare it in an expression
+  const votes = { $subtract: [{ $size: '$upvotes' }, { $size: '$downvotes' }] };
+  if (params.minVotes !== undefined) conditions.push({ $expr: { $gte: [votes, params.minVotes] } });
+  if (params.maxVotes !== undefined) conditions.push({ $expr: { $lte: [votes, params.maxVotes] } });
+
+  // Custom fields may be stored as strings, numbers or booleans
+  Object.keys(input).forEach(key => {
+    const match = key.match(CUSTOM_FIELD_PATTERN);
+    if (match) {
+      filter[`customFields.${match[1]}`] = { $in: parseFilterValue(input[key]) };
+    }
+  });
+
+  if (conditions.length) filter.$and = conditions;
+
+  return filter;
+};
+
+// Build the issue listing sort, accepting whitelisted sort names only
+const buildIssueSort = (sortBy = 'createdAt', sortOrder = 'desc') => {
+  if (!SORT_FIELDS.includes(sortBy)) {
+    throw new ErrorResponse(`sortBy must be one of: ${SORT_FIELDS.join(', ')}`, 400);
+  }
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    throw new ErrorResponse('sortOrder must be asc or desc', 400);
+  }
+
+  return { [SORT_KEYS[sortBy]]: sortOrder === 'desc' ? -1 : 1 };
+};
+
+module.exports = {
+  FILTER_KEYS,
+  SORT_FIELDS,
+  isFilterKey,
+  buildIssueFilter,
+  buildIssueSort
+};
@@ -0,0 +1,99 @@
+// Multinomial naive Bayes over token lists, kept as plain objects so a
+// trained classifier can be stored in MongoDB and loaded again
+
+const createClassifier = () => ({
+  docs: 0,
+  vocabulary: [],
+  classes: []
+});
+
+const findClass = (classifier, label) => classifier.classes.find(entry => entry.label === label);
+
+// Token counts are keyed by arbitrary words, so keep them off Object.prototype
+// ('constructor', 'toString'). Stored models come back as ordinary objects,
+// hence the own-property check when reading.
+const createCounts = (entries = []) => Object.assign(Object.create(null), Object.fromEntries(entries));
+
+const countOf = (counts, token) =>
+  Object.prototype.hasOwnProperty.call(counts, token) ? counts[token] : 0;
+
+// Count one training document towards a label
+const addDocument = (classifier, tokens, label) => {
+  let entry = findClass(classifier, label);
+  if (!entry) {
+    entry = { label, docs: 0, total: 0, counts: createCounts() };
+    classifier.classes.push(entry);
+  }
+
+  entry.docs += 1;
+  tokens.forEach(token => {
+    entry.counts[token] = countOf(entry.counts, token) + 1;
+    entry.total += 1;
+  });
+  classifier.docs += 1;
+};
+
+// Drop rare labels and tokens so the stored model stays small and less noisy
+const prune = (classifier, { minClassDocs = 1, minTokenCount = 1 } = {}) => {
+  classifier.classes = classifier.classes.filter(entry => entry.docs >= minClassDocs);
+
+  const tokenCounts = createCounts();
+  classifier.classes.forEach(entry => {
+    Object.entries(entry.counts).forEach(([token, count]) => {
+      tokenCounts[token] = (tokenCounts[token] || 0) + count;
+    });
+  });
+
+  const vocabulary = Object.keys(tokenCounts).filter(token => tokenCounts[token] >= minTokenCount);
+  const kept = new Set(vocabulary);
+
+  classifier.classes.forEach(entry => {
+    entry.counts = createCounts(Object.entries(entry.counts).filter(([token]) => kept.has(token)));
+    entry.total = Object.values(entry.counts).reduce((sum, count) => sum + count, 0);
+  });
+  classifier.docs = classifier.classes.reduce((sum, entry) => sum + entry.docs, 0);
+  classifier.vocabulary = vocabulary;
+
+  return classifier;
+};
+
+/**
+ * Score every label for a token list with Laplace smoothing.
+ *
+ * @param {Object} classifier - trained classifier
+ * @param {string[]} tokens - tokens of the text to classify
+ * @returns {Array<{label: *, probability: number}>} best first, empty when no token is known
+ */
+const classify = (classifier, tokens) => {
+  if (!classifier || classifier.docs === 0) return [];
+
+  const vocabulary = new Set(classifier.vocabulary);
+  const known = tokens.filter(token => vocabulary.has(token));
+  if (known.length === 0) return [];
+
+  const scores = classifier.classes.map(entry => {
+    let score = Math.log(entry.docs / classifier.docs);
+    const denominator = entry.total + vocabulary.size;
+
+    known.forEach(token => {
+      score += Math.log((countOf(entry.counts, token) + 1) / denominator);
+    });
+
+    return { label: entry.label, score };
+  });
+
+  // Normalize log scores into probabilities without underflowing
+  const max = Math.max(...scores.map(entry => entry.score));
+  const sum = scores.reduce((total, entry) => total + Math.exp(entry.score - max), 0);
+
+  return scores
+    .map(entry => ({ label: entry.label, probability: Math.exp(entry.score - max) / sum }))
+    .sort((a, b) => b.probability - a.probability);
+};
+
+module.exports = {
+  createClassifier,
+  addDocument,
+  prune,
+  classify
+};
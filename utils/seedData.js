@@ -195,13 +195,13 @@ const seedDatabase = async () => {
 
     // Add some comments to issues
     const issue1 = createdIssues[0];
-    issue1.addComment(createdUsers[1]._id, 'I can help with this printer issue. Will check it in the morning.', false);
-    issue1.addComment(createdUsers[0]._id, 'Thanks Jane! Let me know what you find.', false);
+    issue1.addComment(createdUsers[1]._id, 'I can help with this printer issue. Will check it in the morning.');
+    issue1.addComment(createdUsers[0]._id, 'Thanks Jane! Let me know what you find.');
     await issue1.save();
 
     const issue2 = createdIssues[1];
-    issue2.addComment(createdUsers[2]._id, 'This is affecting my work. Need urgent help!', false);
-    issue2.addComment(createdUsers[1]._id, 'I\'ll look into this right away. Please try restarting Outlook first.', false);
+    issue2.addComment(createdUsers[2]._id, 'This is affecting my work. Need urgent help!');
+    issue2.addComment(createdUsers[1]._id, 'I\'ll look into this right away. Please try restarting Outlook first.');
     await issue2.save();
 
     console.log('💬 Added sample comments');
@@ -0,0 +1,100 @@
+// Local text similarity helpers (tokenizing, TF-IDF vectors, cosine similarity)
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'cannot', 'could',
+  'do', 'does', 'for', 'from', 'get', 'getting', 'has', 'have', 'i', 'in', 'is', 'it',
+  'its', 'me', 'my', 'need', 'not', 'of', 'on', 'or', 'our', 'please', 'so', 'some',
+  'that', 'the', 'their', 'there', 'this', 'to', 'us', 'was', 'we', 'were', 'when',
+  'with', 'won', 'would', 'you', 'your'
+]);
+
+// Very light stemming so "printers"/"printer" and "crashing"/"crash" line up
+const stem = (word) => {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+// Split text into normalized terms
+const tokenize = (text) => {
+  if (!text) return [];
+
+  return String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+};
+
+// Count how often each term appears
+const termFrequencies = (tokens) => {
+  const counts = new Map();
+  tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+  return counts;
+};
+
+// Inverse document frequency for every term across a set of token lists
+const inverseDocumentFrequencies = (documents) => {
+  const documentCounts = new Map();
+  documents.forEach(tokens => {
+    new Set(tokens).forEach(token => documentCounts.set(token, (documentCounts.get(token) || 0) + 1));
+  });
+
+  const idf = new Map();
+  documentCounts.forEach((count, token) => {
+    idf.set(token, Math.log((1 + documents.length) / (1 + count)) + 1);
+  });
+  return idf;
+};
+
+// Weighted TF-IDF vector for one token list
+const tfidfVector = (tokens, idf) => {
+  const vector = new Map();
+  termFrequencies(tokens).forEach((count, token) => {
+    vector.set(token, count * (idf.get(token) || 1));
+  });
+  return vector;
+};
+
+// Cosine similarity between two sparse vectors
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  a.forEach((weight, token) => {
+    normA += weight * weight;
+    if (b.has(token)) dot += weight * b.get(token);
+  });
+  b.forEach(weight => {
+    normB += weight * weight;
+  });
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+// Rank documents against a query, returning [{ index, score }] best first
+const rankBySimilarity = (query, documents) => {
+  const queryTokens = tokenize(query);
+  const documentTokens = documents.map(tokenize);
+  const idf = inverseDocumentFrequencies([queryTokens, ...documentTokens]);
+  const queryVector = tfidfVector(queryTokens, idf);
+
+  return documentTokens
+    .map((tokens, index) => ({
+      index,
+      score: cosineSimilarity(queryVector, tfidfVector(tokens, idf))
+    }))
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  tokenize,
+  termFrequencies,
+  inverseDocumentFrequencies,
+  tfidfVector,
+  cosineSimilarity,
+  rankBySimilarity
+};
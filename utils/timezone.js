@@ -0,0 +1,69 @@
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+
+// Cached formatter that splits an instant into wall-clock parts for a zone
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Check that a string names an IANA time zone, e.g. Europe/Berlin
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock fields of an instant in a time zone (month 1-12, weekday 0 = Sunday)
+const getZonedParts = (date, timeZone = 'UTC') => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Instant at which a zone's wall clock shows the given fields (month 1-12).
+// Times skipped by a DST change resolve to the hour after the gap.
+const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0 }, timeZone = 'UTC') => {
+  const target = Date.UTC(year, month - 1, day, hour, minute);
+  let guess = target;
+
+  // Two corrections settle the zone offset, even right next to a DST change
+  for (let pass = 0; pass < 2; pass += 1) {
+    const parts = getZonedParts(new Date(guess), timeZone);
+    const shown = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    guess += target - shown;
+  }
+
+  return new Date(guess);
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToDate
+};
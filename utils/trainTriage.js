@@ -0,0 +1,30 @@
+const connectDB = require('../config/database');
+const triageService = require('../services/triageService');
+
+// Retrain the triage model from resolved and closed issues
+const trainTriage = async () => {
+  try {
+    await connectDB();
+
+    console.log('🧠 Training triage model...');
+    const model = await triageService.train();
+
+    const { classifiers } = model;
+    console.log(`✅ Trained on ${model.sampleCount} issues`);
+    console.log(`   Categories: ${classifiers.category.classes.map(entry => entry.label).join(', ') || 'none'}`);
+    console.log(`   Priorities: ${classifiers.priority.classes.map(entry => entry.label).join(', ') || 'none'}`);
+    console.log(`   Skills learned: ${classifiers.requiredSkills.classes.length}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error training triage model:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  trainTriage();
+}
+
+module.exports = { trainTriage };